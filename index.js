@@ -12,29 +12,185 @@
     // 导入SillyTavern API
     let extension_settings, saveSettingsDebounced;
     let toastr, eventSource, event_types;
+    let SlashCommandParser, SlashCommand, SlashCommandArgument, SlashCommandNamedArgument, ARGUMENT_TYPE;
     let callGenericPopup, POPUP_TYPE;
     let getTokenCountAsyncFn;
+    let getContextFn;
+
+    // 重试策略表的处理方式
+    const POLICY_ACTIONS = {
+        retry: '重试',
+        fail: '立即失败',
+        silent: '静默失败',
+    };
+
+    // 非HTTP状态的失败类别
+    const POLICY_CLASSES = {
+        network: '网络错误',
+        empty: '空内容',
+        lowToken: 'Token过少',
+        validator: '内容校验未通过',
+        timeout: '超时',
+        upstream: '上游错误（200 响应）',
+    };
+
+    // 默认重试策略：按顺序匹配，首个命中生效；未命中任何条目时重试
+    const DEFAULT_RETRY_POLICY = [
+        { match: '408', action: 'retry' },
+        { match: '429', action: 'retry' },
+        { match: '5xx', action: 'retry' },
+        { match: '400', action: 'fail' },
+        { match: '401', action: 'fail' },
+        { match: '403', action: 'fail' },
+        { match: '404', action: 'fail' },
+        { match: '413', action: 'fail' },
+        { match: '422', action: 'fail' },
+        { match: 'network', action: 'retry' },
+        { match: 'empty', action: 'retry' },
+        { match: 'lowToken', action: 'retry' },
+        { match: 'validator', action: 'retry' },
+        { match: 'timeout', action: 'retry' },
+        { match: 'upstream', action: 'retry' },
+    ];
+
+    // 默认拒答屏蔽词（正则，不区分大小写）
+    const DEFAULT_BLOCKLIST_PATTERNS = [
+        "^\\s*(I'm sorry|I am sorry|I apologize)[^.]{0,60}\\b(can't|cannot|unable|won't)\\b",
+        '^\\s*As an AI( language model)?\\b',
+        '^\\s*(抱歉|对不起|很抱歉)[，,]?.{0,30}(无法|不能)',
+    ];
 
     // 默认设置
     const DEFAULT_SETTINGS = {
         enabled: true,
         maxRetries: 3,
         baseDelay: 1000,        // 基础延迟(毫秒)
+        backoffStrategy: 'exponential', // 退避策略，见 BACKOFF_STRATEGIES
+        linearStep: 1000,       // 线性递增：每次增加的毫秒数
+        backoffFactor: 2,       // 指数退避：倍数
+        maxDelay: 30000,        // 指数/抖动策略的延迟上限(毫秒)
+        honorRetryAfter: true,  // 429/503 时遵循 Retry-After / x-ratelimit-reset
+        maxRetryAfter: 60000,   // 服务器指定等待时间的上限(毫秒)
         enableLogging: true,    // 启用日志
         minContentLength: 5,    // 最小内容长度
         checkWhitespace: true,  // 检查空白字符
-        interceptRules: [],     // API拦截规则（为空：不拦截）
+        interceptRules: [],     // API拦截规则（白名单模式：为空时不拦截，需要手动添加）
         enableMinTokenRetry: true, // 启用少于Token阈值的重试（默认开启）
         minTokenThreshold: 400, // Token阈值（默认400）
-        // 默认无拦截规则（白名单模式，需要手动添加）
-        interceptRules: []
+        thresholdMode: 'fixed',     // Token阈值模式：fixed 固定 / adaptive 按请求的 max_tokens 自适应
+        adaptiveThresholdPercent: 25, // 自适应模式：阈值为 max_tokens 的百分比
+        skipThresholdOnStop: true,  // 自适应模式：模型因停止序列自然结束时不检查Token阈值
+        enableStreamDetection: true, // 流式(SSE)响应边接收边检测
+        detectEmbeddedErrors: true, // 识别 200 响应中夹带的错误信封、安全拦截与 HTML 错误页
+        interceptXHR: true,         // 同时拦截 XMLHttpRequest（含 jQuery.ajax）发出的请求
+        retryPolicy: DEFAULT_RETRY_POLICY, // 按失败类别决定是否重试
+        validators: { blocklist: false, finishReason: false, repetition: false }, // 内容校验器开关
+        blocklistPatterns: DEFAULT_BLOCKLIST_PATTERNS, // 屏蔽词正则
+        repetitionNgram: 4,         // 重复检测的 n-gram 长度
+        repetitionThreshold: 0.5,   // 重复 n-gram 占比超过该值视为复读
+        enableBodyMutation: false,  // 重试时改写 JSON 请求体，避免确定性的空回复
+        mutateSeed: 'off',          // 种子：off 不变 / increment 递增 / random 随机
+        temperatureStep: 0,         // 每次重试提高的温度（0 为不变）
+        temperatureMax: 2,          // 温度上限
+        stripFields: [],            // 重试时移除的请求体字段
+        nudgeMessage: '',           // 重试时追加到 messages 的提示消息
+        nudgeRole: 'system',        // 提示消息的角色
+        enableHistory: true,        // 记录拦截请求的重试历史
+        historySize: 200,           // 历史记录保留条数
+        customExtractors: [],       // 自定义提取路径 { name, urlPattern, path, enabled }
+        exhaustionMode: 'error',    // 重试用尽时：error 报错 / best 返回最佳的一次回复
+        bestOfMetric: 'length',     // 最佳回复的评判：length 正文最长 / score 通过的校验器最多
+        firstByteTimeout: 0,        // 首字节超时(毫秒)：等待响应头的时长，0 为不限
+        idleTimeout: 0,             // 流式分片间隔超时(毫秒)，0 为不限
+        attemptTimeout: 0,          // 单次尝试总超时(毫秒)，0 为不限
+        enableCircuitBreaker: false, // 熔断器：连续多次重试用尽后暂停请求该后端
+        breakerScope: 'host',       // 熔断粒度：host 按主机 / rule 按命中的规则
+        breakerThreshold: 3,        // 连续重试用尽多少次后熔断
+        breakerCooldown: 60000,     // 熔断冷却时间(毫秒)，到期后放行一次试探请求
+        enableHedging: false,       // 对冲请求：尝试迟迟没有有效响应时并行发起下一次尝试
+        hedgeDelay: 10000,          // 多久没有有效响应就发起对冲(毫秒)
+        maxHedges: 1,               // 同时进行的对冲请求上限（不含首个尝试）
+        enableTokenBudget: false,   // Token 预算：被丢弃的尝试消耗的 Token 达到预算后停止重试
+        requestTokenBudget: 0,      // 单次请求的浪费预算(Token)，0 为不限
+        dailyTokenBudget: 0,        // 每日的浪费预算(Token)，0 为不限
+        enableContinuation: false,  // 截断续写：回复被截断时发起续写请求并拼接，而不是丢弃重来
+        maxContinuations: 2,        // 单次尝试最多续写几轮
+        continuationPrompt: '[Continue your last message without repeating its original content.]', // 对话接口续写时追加的提示
+        presets: {},                // 用户保存的命名预设 { 名称: 设置项 }
     };
 
+    // 设置结构版本：每次需要转换旧数据时递增，并在 SETTINGS_MIGRATIONS 中追加一步
+    const SETTINGS_VERSION = 2;
+
+    // 迁移步骤：把低于 version 的设置（或导入的预设）转换为该版本的结构；需容忍缺少的字段，可重复执行
+    const SETTINGS_MIGRATIONS = [
+        {
+            version: 1,
+            description: '旧版字符串拦截规则迁移为规则对象',
+            migrate(data) {
+                if (data.interceptRules !== undefined) {
+                    data.interceptRules = normalizeRules(data.interceptRules);
+                }
+            },
+        },
+        {
+            version: 2,
+            description: '自定义重试策略补全超时与上游错误类别',
+            migrate(data) {
+                if (!Array.isArray(data.retryPolicy)) return;
+                for (const match of ['timeout', 'upstream']) {
+                    if (!data.retryPolicy.some(e => String(e?.match || '').trim().toLowerCase() === match.toLowerCase())) {
+                        data.retryPolicy = [...data.retryPolicy, { match, action: 'retry' }];
+                    }
+                }
+            },
+        },
+    ];
+
+    // 依次执行高于 fromVersion 的迁移步骤
+    function migrateSettings(data, fromVersion) {
+        for (const step of SETTINGS_MIGRATIONS) {
+            if (step.version > fromVersion) {
+                step.migrate(data);
+            }
+        }
+        return data;
+    }
+
+    // 流式检测：内容每增长多少字符重新计算一次Token
+    const STREAM_RECOUNT_STEP = 64;
+
+    // 重试历史保存在浏览器本地，避免撑大酒馆设置文件
+    const HISTORY_STORAGE_KEY = `${EXTENSION_NAME}_history`;
+    // 当日被丢弃尝试的 Token 消耗，同样保存在浏览器本地
+    const WASTE_STORAGE_KEY = `${EXTENSION_NAME}_waste`;
+
     let settings = {};
     let originalFetch = null;
+    let originalXHR = null;
+    let retryHistory = [];
+    let wasteStats = { date: '', rules: {} };
+    // 熔断器状态（仅保存在内存中，刷新页面即恢复）
+    const circuitBreakers = new Map();
+
+    // 重试生命周期事件：本插件的事件名 → 同步到酒馆 eventSource 上的事件名
+    const RETRY_EVENTS = {
+        attempt: 'api_retry_attempt',
+        retry: 'api_retry_retry',
+        success: 'api_retry_success',
+        exhausted: 'api_retry_exhausted',
+    };
+    const retryEventHandlers = new Map(Object.keys(RETRY_EVENTS).map(name => [name, new Set()]));
+    // 正在进行的退避等待，酒馆停止生成或切换聊天时取消
+    const pendingWaits = new Set();
+    let requestSeq = 0;
+    // 最近一次失败的尝试，供 /retry-last 查看原始错误
+    let lastFailureInfo = null;
+    // 设置面板存在时由 bindSettingsEvents 提供，用于在面板外修改设置后刷新界面
+    let refreshSettingsUI = null;
 
     // 检查响应是否为空内容
-    function isEmptyContent(text) {
+    function isEmptyContent(text, config = settings) {
         if (!text || text === null || text === undefined) {
             return true;
         }
@@ -43,12 +199,12 @@
         const content = String(text).trim();
 
         // 检查长度
-        if (content.length < settings.minContentLength) {
+        if (content.length < config.minContentLength) {
             return true;
         }
 
         // 检查是否只包含空白字符
-        if (settings.checkWhitespace && content.replace(/\s/g, '').length === 0) {
+        if (config.checkWhitespace && content.replace(/\s/g, '').length === 0) {
             return true;
         }
 
@@ -79,9 +235,139 @@
         });
     }
 
-    // 计算重试延迟（固定间隔，不使用指数退避）
-    function calculateDelay(attempt) {
-        return Number(settings.baseDelay) || 0;
+    // 重试前的退避等待：除用户中断外，也可由 cancelPendingWaits 统一取消；
+    // 传入 session 时挂上 session.skipWait，供进度框的“立即重试”提前结束等待
+    async function waitBeforeRetry(ms, signal, session = null) {
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        if (signal?.aborted) controller.abort();
+        signal?.addEventListener('abort', onAbort, { once: true });
+        pendingWaits.add(controller);
+        let skipped = false;
+        try {
+            const waiting = delay(ms, controller.signal);
+            const skip = new Promise(resolve => {
+                if (session) {
+                    session.skipWait = () => {
+                        skipped = true;
+                        resolve();
+                    };
+                }
+            });
+            await Promise.race([waiting, skip]);
+            if (skipped) {
+                // 提前结束：清理仍在计时的等待，忽略其中断
+                waiting.catch(() => {});
+                controller.abort();
+            }
+        } finally {
+            pendingWaits.delete(controller);
+            signal?.removeEventListener('abort', onAbort);
+            if (session) session.skipWait = null;
+        }
+    }
+
+    // 取消所有进行中的退避等待，对应请求以中断结束
+    function cancelPendingWaits(reason = '') {
+        if (!pendingWaits.size) return 0;
+        const count = pendingWaits.size;
+        for (const controller of pendingWaits) {
+            controller.abort();
+        }
+        pendingWaits.clear();
+        log(`已取消 ${count} 个等待中的重试${reason ? `（${reason}）` : ''}`);
+        return count;
+    }
+
+    // 退避策略注册表：compute 接收 { attempt, base, prevDelay, config }，attempt 从 0 开始，返回毫秒数
+    const BACKOFF_STRATEGIES = {
+        fixed: {
+            label: '固定间隔',
+            compute: ({ base }) => base,
+        },
+        linear: {
+            label: '线性递增',
+            compute: ({ attempt, base, config }) => base + attempt * (Number(config.linearStep) || 0),
+        },
+        exponential: {
+            label: '指数退避（封顶）',
+            compute: ({ attempt, base, config }) => base * Math.pow(Number(config.backoffFactor) || 2, attempt),
+        },
+        'full-jitter': {
+            label: '全抖动',
+            compute: ({ attempt, base }) => Math.random() * base * Math.pow(2, attempt),
+        },
+        'decorrelated-jitter': {
+            label: '去相关抖动',
+            compute: ({ base, prevDelay }) => {
+                const upper = Math.max(base, (prevDelay || base) * 3);
+                return base + Math.random() * (upper - base);
+            },
+        },
+    };
+
+    // 计算重试延迟（按所选退避策略，非固定策略受 maxDelay 封顶）
+    function calculateDelay(attempt, prevDelay = 0, config = settings) {
+        const base = Number(config.baseDelay) || 0;
+        const strategyName = BACKOFF_STRATEGIES[config.backoffStrategy] ? config.backoffStrategy : 'fixed';
+        let ms = BACKOFF_STRATEGIES[strategyName].compute({ attempt, base, prevDelay, config });
+        if (strategyName !== 'fixed') {
+            const cap = Number(config.maxDelay) || 0;
+            if (cap > 0) ms = Math.min(cap, ms);
+        }
+        return Math.max(0, Math.round(Number(ms) || 0));
+    }
+
+    // 解析 Retry-After / x-ratelimit-reset 响应头，返回毫秒数；无法解析时返回 null
+    function parseRetryAfter(headers) {
+        if (!headers) return null;
+        const parseDuration = (value) => {
+            const v = String(value || '').trim();
+            if (!v) return null;
+            // 纯数字：秒数，或 Unix 时间戳（秒/毫秒）
+            if (/^\d+(\.\d+)?$/.test(v)) {
+                const n = Number(v);
+                if (n > 1e12) return n - Date.now();
+                if (n > 1e9) return n * 1000 - Date.now();
+                return n * 1000;
+            }
+            // 时长格式，如 1m30s、250ms
+            const re = /(\d+(?:\.\d+)?)(ms|h|m|s)/g;
+            let total = 0;
+            let matched = false;
+            let m;
+            while ((m = re.exec(v))) {
+                matched = true;
+                const n = Number(m[1]);
+                total += m[2] === 'ms' ? n : m[2] === 's' ? n * 1000 : m[2] === 'm' ? n * 60000 : n * 3600000;
+            }
+            if (matched) return total;
+            // HTTP 日期
+            const date = Date.parse(v);
+            return Number.isNaN(date) ? null : date - Date.now();
+        };
+
+        const names = ['retry-after', 'x-ratelimit-reset', 'x-ratelimit-reset-requests', 'x-ratelimit-reset-tokens'];
+        let result = null;
+        for (const name of names) {
+            let value;
+            try { value = headers.get(name); } catch { value = null; }
+            const ms = parseDuration(value);
+            if (ms != null && Number.isFinite(ms)) {
+                result = Math.max(result ?? 0, ms);
+            }
+        }
+        return result == null ? null : Math.max(0, Math.round(result));
+    }
+
+    // 计算本次重试的等待时间：优先遵循服务器指定的等待时间
+    function resolveRetryDelay(attempt, prevDelay, error, config = settings) {
+        const retryAfterMs = error?.retryAfterMs;
+        if (config.honorRetryAfter && Number.isFinite(retryAfterMs)) {
+            const cap = Number(config.maxRetryAfter) || 0;
+            return { delayMs: cap > 0 ? Math.min(cap, retryAfterMs) : retryAfterMs, fromServer: true };
+        }
+        return { delayMs: calculateDelay(attempt, prevDelay, config), fromServer: false };
     }
 
     function isAbortError(error) {
@@ -112,54 +398,309 @@
         }
     }
 
-    // 从常见的API响应JSON中提取候选文本内容
-    function extractResponseContent(rawText) {
-        try {
-            const obj = JSON.parse(rawText);
-            let parts = [];
+    // 取得请求地址字符串（兼容 Request 对象）
+    function getRequestUrl(url) {
+        return typeof url === 'string' ? url : (url?.url || String(url));
+    }
 
-            // OpenAI风格
-            if (Array.isArray(obj?.choices)) {
+    // 拼接文本片段：兼容字符串与 [{ type: 'text', text }] 形式的内容数组
+    function joinTextParts(value) {
+        if (typeof value === 'string') return value;
+        if (!Array.isArray(value)) return null;
+        return value.map(p => (typeof p === 'string' ? p : (typeof p?.text === 'string' ? p.text : ''))).join('');
+    }
+
+    // 响应文本提取适配器：
+    // urls 为适用的请求地址，detect(obj) 按响应结构识别，extract(obj) 返回文本（识别但为空时返回 ''，无法识别返回 null）
+    const RESPONSE_EXTRACTORS = [
+        {
+            id: 'openai',
+            label: 'OpenAI 兼容',
+            urls: [/\/chat-completions\//i, /\/text-completions\//i, /\/v1\/(chat\/)?completions/i],
+            detect: (obj) => Array.isArray(obj?.choices),
+            extract(obj) {
+                if (!Array.isArray(obj?.choices)) return null;
+                const parts = [];
                 for (const ch of obj.choices) {
-                    if (typeof ch?.message?.content === 'string') parts.push(ch.message.content);
+                    const content = joinTextParts(ch?.message?.content);
+                    if (content != null) parts.push(content);
                     if (typeof ch?.delta?.content === 'string') parts.push(ch.delta.content);
                     if (typeof ch?.text === 'string') parts.push(ch.text);
                 }
-            }
-
-            // 一些推理或文本生成接口
-            if (Array.isArray(obj?.results)) {
+                return parts.filter(Boolean).join('\n');
+            },
+        },
+        {
+            id: 'claude',
+            label: 'Claude',
+            urls: [/anthropic\.com/i, /\/v1\/messages/i],
+            detect: (obj) => obj?.type === 'message' && Array.isArray(obj?.content),
+            extract(obj) {
+                if (!Array.isArray(obj?.content)) return null;
+                return obj.content.filter(b => b?.type === 'text' && typeof b.text === 'string').map(b => b.text).join('');
+            },
+        },
+        {
+            id: 'gemini',
+            label: 'Gemini',
+            urls: [/generativelanguage\.googleapis\.com/i, /aiplatform\.googleapis\.com/i],
+            detect: (obj) => Array.isArray(obj?.candidates),
+            extract(obj) {
+                if (!Array.isArray(obj?.candidates)) return null;
+                return obj.candidates
+                    .map(c => (Array.isArray(c?.content?.parts) ? c.content.parts.filter(p => !p?.thought).map(p => p?.text || '').join('') : ''))
+                    .filter(Boolean)
+                    .join('\n');
+            },
+        },
+        {
+            id: 'cohere',
+            label: 'Cohere',
+            urls: [/cohere\.(ai|com)/i],
+            detect: (obj) => Array.isArray(obj?.message?.content) || (typeof obj?.text === 'string' && obj?.generation_id !== undefined),
+            extract(obj) {
+                if (Array.isArray(obj?.message?.content)) return joinTextParts(obj.message.content);
+                if (typeof obj?.text === 'string') return obj.text;
+                return null;
+            },
+        },
+        {
+            id: 'ollama',
+            label: 'Ollama',
+            urls: [/:11434\//, /\/api\/(chat|generate)\/?$/i],
+            detect: (obj) => obj?.done !== undefined && (typeof obj?.message?.content === 'string' || typeof obj?.response === 'string'),
+            extract(obj) {
+                if (typeof obj?.message?.content === 'string') return obj.message.content;
+                if (typeof obj?.response === 'string') return obj.response;
+                return null;
+            },
+        },
+        {
+            id: 'kobold',
+            label: 'KoboldCpp / TextGen',
+            urls: [/\/kobold\//i, /\/api\/v1\/generate/i, /\/api\/extra\/generate/i],
+            detect: (obj) => Array.isArray(obj?.results),
+            extract(obj) {
+                if (!Array.isArray(obj?.results)) return null;
+                const parts = [];
                 for (const r of obj.results) {
                     if (typeof r?.text === 'string') parts.push(r.text);
                     if (typeof r?.content === 'string') parts.push(r.content);
                     if (typeof r?.output_text === 'string') parts.push(r.output_text);
                 }
-            }
+                return parts.filter(Boolean).join('\n');
+            },
+        },
+        {
+            id: 'generic',
+            label: '常见字段',
+            urls: [],
+            detect: () => true,
+            extract(obj) {
+                const parts = [];
+                const fallbackKeys = ['message', 'content', 'response', 'output_text', 'generated_text', 'text'];
+                for (const k of fallbackKeys) {
+                    if (typeof obj?.[k] === 'string') parts.push(obj[k]);
+                }
+                if (Array.isArray(obj?.data) && typeof obj.data[0]?.text === 'string') {
+                    parts.push(obj.data[0].text);
+                }
+                return parts.length ? parts.filter(Boolean).join('\n') : null;
+            },
+        },
+    ];
 
-            // 常见字段回退
-            const fallbackKeys = ['message', 'content', 'response', 'output_text', 'generated_text'];
-            for (const k of fallbackKeys) {
-                if (typeof obj?.[k] === 'string') parts.push(obj[k]);
-            }
+    // 内置提取器，卸载时据此移除外部注册的提取器
+    const BUILTIN_EXTRACTORS = [...RESPONSE_EXTRACTORS];
 
-            if (Array.isArray(obj?.data) && typeof obj.data[0]?.text === 'string') {
-                parts.push(obj.data[0].text);
+    // 按 JSON 路径取出所有匹配的原始值，支持 a.b[0].c、a[*].b 与可选的 $ 前缀；路径为空时返回空数组
+    function selectJsonPath(obj, path) {
+        const tokens = String(path || '').trim().replace(/^\$\.?/, '').match(/[^.[\]]+|\[(\d+|\*)\]/g);
+        if (!tokens) return [];
+        let current = [obj];
+        for (const token of tokens) {
+            const key = token.startsWith('[') ? token.slice(1, -1) : token;
+            const next = [];
+            for (const value of current) {
+                if (value == null || typeof value !== 'object') continue;
+                if (key === '*') {
+                    next.push(...(Array.isArray(value) ? value : Object.values(value)));
+                } else if (value[key] !== undefined) {
+                    next.push(value[key]);
+                }
             }
+            current = next;
+        }
+        return current;
+    }
+
+    // 按 JSON 路径取值，返回字符串结果拼接，未取到返回 null
+    function evaluateJsonPath(obj, path) {
+        const strings = selectJsonPath(obj, path).map(joinTextParts).filter(v => v != null);
+        return strings.length ? strings.join('\n') : null;
+    }
+
+    // 选择适用的提取器：先按请求地址，再按响应结构
+    function selectExtractors(url, obj) {
+        const byUrl = RESPONSE_EXTRACTORS.filter(a => a.urls.some(re => re.test(url)));
+        const bySignature = RESPONSE_EXTRACTORS.filter(a => !byUrl.includes(a) && a.detect(obj));
+        return [...byUrl, ...bySignature];
+    }
 
-            const joined = parts.filter(Boolean).join('\n');
-            return joined || null;
+    // 从API响应JSON中提取候选文本内容：自定义路径优先，其次为内置适配器
+    // 识别出结构但内容为空时返回 ''，无法识别返回 null
+    function extractResponseContent(rawText, url = '') {
+        let obj;
+        try {
+            obj = JSON.parse(rawText);
         } catch {
             return null;
         }
+        if (!obj || typeof obj !== 'object') return null;
+        const urlText = getRequestUrl(url);
+
+        const customs = Array.isArray(settings.customExtractors) ? settings.customExtractors : [];
+        for (const custom of customs) {
+            if (!custom || custom.enabled === false || !custom.path) continue;
+            if (custom.urlPattern && !matchesRule(urlText, custom.urlPattern)) continue;
+            const text = evaluateJsonPath(obj, custom.path);
+            if (text != null) return text;
+        }
+
+        for (const extractor of selectExtractors(urlText, obj)) {
+            try {
+                const text = extractor.extract(obj);
+                if (text != null) return text;
+            } catch (e) {
+                log(`提取器 ${extractor.id} 执行出错: ${e.message}`, true);
+            }
+        }
+        return null;
     }
 
-    function showRetryToast(nextAttempt, totalAttempts, delayMs) {
+    function showRetryToast(nextAttempt, totalAttempts, delayMs, fromServer = false, reason = '') {
         if (typeof toastr !== 'undefined') {
-            const msg = `重试第 ${nextAttempt}/${totalAttempts} 次，等待 ${delayMs}ms...`;
+            const source = fromServer ? '（服务器指定）' : '';
+            const cause = reason ? `\n原因：${reason}` : '';
+            const msg = `重试第 ${nextAttempt}/${totalAttempts} 次，等待 ${delayMs}ms${source}...${cause}`;
             toastr.info(msg, '正在重试');
         }
     }
 
+    const PROGRESS_TITLES = {
+        success: '重试成功',
+        warning: '已接受回复',
+        error: '重试失败',
+        cancelled: '已取消',
+    };
+
+    // 每个进行中的请求对应一个进度框：首次需要重试时才出现，显示尝试次数、倒计时与上次失败原因，
+    // 提供“立即重试 / 接受当前回复 / 取消”，结束后转为成功或失败状态并自动消失。
+    // 页面不可用（如无 jQuery）时退回到 showRetryToast 提示。
+    function createRetryProgress(session, requestController) {
+        let widget = null;
+        let timer = null;
+        let finished = false;
+
+        const ensure = () => {
+            if (widget || finished) return widget;
+            try {
+                let container = $('#api-retry-progress-container');
+                if (!container.length) {
+                    container = $('<div id="api-retry-progress-container"></div>');
+                    $('body').append(container);
+                }
+                const el = $(`
+                    <div class="api-retry-progress">
+                        <div class="api-retry-progress-title"></div>
+                        <div class="api-retry-progress-status"></div>
+                        <div class="api-retry-progress-reason"></div>
+                        <div class="api-retry-progress-actions">
+                            <button class="menu_button retry-now">立即重试</button>
+                            <button class="menu_button retry-accept">接受当前回复</button>
+                            <button class="menu_button retry-cancel">取消</button>
+                        </div>
+                    </div>
+                `);
+                el.find('.api-retry-progress-title').text(`正在重试 · ${getRuleLabel(session.rule)}`);
+                el.find('.retry-now').on('click', () => session.skipWait?.());
+                el.find('.retry-accept').on('click', () => {
+                    session.acceptRequested = true;
+                    session.skipWait?.();
+                });
+                el.find('.retry-cancel').on('click', () => requestController.abort());
+                container.append(el);
+                widget = el;
+            } catch {
+                widget = null;
+            }
+            return widget;
+        };
+
+        const setStatus = (text) => widget?.find('.api-retry-progress-status').text(text);
+        const stopCountdown = () => {
+            clearInterval(timer);
+            timer = null;
+        };
+
+        return {
+            // 开始一次尝试
+            attempt(number, total) {
+                if (!widget) return;
+                stopCountdown();
+                setStatus(`正在进行第 ${number}/${total} 次尝试…`);
+                widget.find('.retry-now, .retry-accept').prop('disabled', true);
+            },
+            // 等待下一次尝试：{ nextAttempt, maxAttempts, delayMs, fromServer, reason, canAccept }
+            waiting({ nextAttempt, maxAttempts, delayMs, fromServer, reason, canAccept }) {
+                if (!ensure()) {
+                    showRetryToast(nextAttempt, maxAttempts, delayMs, fromServer, reason);
+                    return;
+                }
+                stopCountdown();
+                const until = Date.now() + delayMs;
+                const tick = () => {
+                    const left = Math.max(0, until - Date.now());
+                    setStatus(`${(left / 1000).toFixed(1)} 秒后进行第 ${nextAttempt}/${maxAttempts} 次尝试${fromServer ? '（服务器指定）' : ''}`);
+                    if (!left) stopCountdown();
+                };
+                tick();
+                timer = setInterval(tick, 100);
+                widget.find('.api-retry-progress-reason').text(reason ? `上次失败：${reason}` : '');
+                widget.find('.retry-now').prop('disabled', false);
+                widget.find('.retry-accept').prop('disabled', !canAccept);
+            },
+            // 结束：success / warning / error / cancelled；进度框未出现时成功与警告以普通提示显示
+            finish(type, message) {
+                if (finished) return;
+                finished = true;
+                stopCountdown();
+                if (!widget) {
+                    if (message && (type === 'success' || type === 'warning')) {
+                        showNotification(message, type);
+                    }
+                    return;
+                }
+                const el = widget;
+                el.addClass(`is-${type}`);
+                el.find('.api-retry-progress-title').text(PROGRESS_TITLES[type] || '');
+                setStatus(message || '');
+                el.find('.api-retry-progress-actions').remove();
+                el.on('click', () => el.remove());
+                setTimeout(() => el.fadeOut(300, () => el.remove()), type === 'error' ? 8000 : 3000);
+            },
+        };
+    }
+
+    // 在请求的进度框中显示结果（没有进度框时以普通提示显示）
+    function notifyOutcome(session, type, message) {
+        if (session.progress) {
+            session.progress.finish(type, message);
+        } else if (message) {
+            showNotification(message, type);
+        }
+    }
+
     async function getTokenCountFor(text) {
         try {
             if (typeof getTokenCountAsyncFn === 'function') {
@@ -168,214 +709,3103 @@
         } catch (e) {
             // ignore and fallback
         }
-        // 退化估算: 使用与ST一致的字符/Token比率
-        const ratio = 3.35;
+        return estimateTokenCount(text);
+    }
+
+    // 退化估算：中日韩文字约每字 1 个 Token，其余文字沿用与ST一致的字符/Token比率
+    // 对中文整体按 3.35 字符/Token 估算会把 Token 数低估约三倍
+    function estimateTokenCount(text) {
         const s = String(text || '');
-        return Math.ceil(s.length / ratio);
+        const cjk = (s.match(/[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/g) || []).length;
+        return Math.ceil(cjk + (s.length - cjk) / 3.35);
     }
 
-    // 判断是否需要拦截某个请求
-    function matchesRule(url, rule) {
-        if (!rule || typeof rule !== 'string') return false;
-        // 正则规则：以 / 开头且以 / 结尾
-        if (rule.length >= 2 && rule.startsWith('/') && rule.endsWith('/')) {
-            try {
-                const re = new RegExp(rule.slice(1, -1));
-                return re.test(url);
-            } catch (e) {
-                // 无效正则则忽略
-                return false;
-            }
+    // 请求体中表示最大生成长度的字段（OpenAI/Claude、文本补全后端、Kobold、Gemini、Ollama）
+    const MAX_TOKENS_PATHS = ['max_tokens', 'max_completion_tokens', 'max_new_tokens', 'max_length', 'max_output_tokens', 'generationConfig.maxOutputTokens', 'options.num_predict'];
+
+    // 请求体中的停止序列字段
+    const STOP_SEQUENCE_PATHS = ['stop', 'stop_sequences', 'stopping_strings', 'stop_sequence', 'generationConfig.stopSequences'];
+
+    // 明确表示命中停止序列的结束原因；OpenAI 兼容接口只有 stop，需响应同时给出命中的停止序列才算
+    const STOP_SEQUENCE_REASONS = ['stop_sequence', 'stopping_string'];
+
+    function getMaxTokensFromBody(body) {
+        if (!body || typeof body !== 'object') return null;
+        for (const path of MAX_TOKENS_PATHS) {
+            const value = Number(selectJsonPath(body, path)[0]);
+            if (Number.isFinite(value) && value > 0) return value;
         }
-        // 子串匹配（大小写不敏感，包含即匹配）
+        return null;
+    }
+
+    function hasStopSequences(body) {
+        if (!body || typeof body !== 'object') return false;
+        return STOP_SEQUENCE_PATHS.some(path => selectJsonPath(body, path).some(value => (
+            Array.isArray(value) ? value.some(v => typeof v === 'string' && v) : typeof value === 'string' && !!value
+        )));
+    }
+
+    // 计算本次尝试的 Token 阈值：自适应模式按请求体 max_tokens 的百分比，取不到时沿用固定阈值
+    function resolveTokenThreshold(config, options) {
+        if (config.thresholdMode !== 'adaptive') return config;
+        const body = getRequestContext(null, options).body;
+        const resolved = { ...config, requestHasStopSequences: hasStopSequences(body) };
+        const maxTokens = getMaxTokensFromBody(body);
+        if (maxTokens) {
+            const percent = Math.min(100, Math.max(1, Number(config.adaptiveThresholdPercent) || DEFAULT_SETTINGS.adaptiveThresholdPercent));
+            resolved.minTokenThreshold = Math.max(1, Math.round(maxTokens * percent / 100));
+        }
+        return resolved;
+    }
+
+    // 自适应模式下，模型因停止序列自然结束的回复不受 Token 阈值约束（但仍检查空内容与校验器）
+    // stopMatch 为响应中给出的命中停止序列（见 extractStopMatch），结束原因为 stop 时必须存在
+    function isNaturalStop(finishReason, config, stopMatch = null) {
+        if (config.thresholdMode !== 'adaptive' || !config.skipThresholdOnStop || !finishReason) return false;
+        const reason = String(finishReason).toLowerCase();
+        if (STOP_SEQUENCE_REASONS.includes(reason)) return true;
+        return reason === 'stop' && !!config.requestHasStopSequences && stopMatch != null;
+    }
+
+    // 判断是否为 SSE 流式响应
+    function isEventStreamResponse(response) {
         try {
-            return String(url).toLowerCase().includes(String(rule).toLowerCase());
+            const type = String(response?.headers?.get('content-type') || '').toLowerCase();
+            return type.includes('text/event-stream');
         } catch {
             return false;
         }
     }
 
-    function shouldIntercept(url) {
-        const rules = Array.isArray(settings.interceptRules) ? settings.interceptRules : [];
-        if (!rules.length) {
-            // 规则为空：不拦截任何请求（白名单模式）
-            return false;
+    // 增量解析 SSE 文本，返回完整的事件列表
+    function createSSEParser() {
+        let buffer = '';
+        let eventName = '';
+        let dataLines = [];
+
+        function handleLine(line, events) {
+            if (line === '') {
+                if (dataLines.length) {
+                    events.push({ event: eventName || 'message', data: dataLines.join('\n') });
+                }
+                eventName = '';
+                dataLines = [];
+                return;
+            }
+            // 注释行
+            if (line.startsWith(':')) return;
+            const sep = line.indexOf(':');
+            const field = sep >= 0 ? line.slice(0, sep) : line;
+            let value = sep >= 0 ? line.slice(sep + 1) : '';
+            if (value.startsWith(' ')) value = value.slice(1);
+            if (field === 'data') dataLines.push(value);
+            else if (field === 'event') eventName = value;
         }
-        return rules.some(rule => matchesRule(url, rule));
+
+        return {
+            push(chunk) {
+                const events = [];
+                buffer += String(chunk || '');
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+                for (const line of lines) {
+                    handleLine(line.replace(/\r$/, ''), events);
+                }
+                return events;
+            },
+            flush() {
+                const events = [];
+                if (buffer) {
+                    handleLine(buffer.replace(/\r$/, ''), events);
+                    buffer = '';
+                }
+                handleLine('', events);
+                return events;
+            },
+        };
     }
 
-    // 增强的fetch函数
-    async function enhancedFetch(url, options = {}) {
-        if (!settings.enabled) {
-            return originalFetch(url, options);
+    // 从单个 SSE 事件中提取增量文本（OpenAI/Claude/Gemini/KoboldCpp）
+    function extractStreamEventContent(data) {
+        const trimmed = String(data || '').trim();
+        if (trimmed === '[DONE]') {
+            return { text: '', done: true };
         }
-
-        // 未命中拦截规则：直接透传
+        let obj;
         try {
-            const u = typeof url === 'string' ? url : (url?.url || String(url));
-            if (!shouldIntercept(u)) {
-                return originalFetch(url, options);
+            obj = JSON.parse(trimmed);
+        } catch {
+            return { text: '', done: false };
+        }
+
+        const parts = [];
+        let done = false;
+
+        // OpenAI风格增量
+        if (Array.isArray(obj?.choices)) {
+            for (const ch of obj.choices) {
+                if (typeof ch?.delta?.content === 'string') parts.push(ch.delta.content);
+                if (typeof ch?.message?.content === 'string') parts.push(ch.message.content);
+                if (typeof ch?.text === 'string') parts.push(ch.text);
             }
-        } catch (e) {
-            // URL 解析失败则按不拦截处理
-            return originalFetch(url, options);
         }
 
-        let lastError = null;
-        const abortSignal = options && options.signal ? options.signal : undefined;
+        // Claude content_block_delta
+        if (obj?.type === 'content_block_delta' && typeof obj?.delta?.text === 'string') {
+            parts.push(obj.delta.text);
+        }
+        if (obj?.type === 'message_stop') {
+            done = true;
+        }
 
-        for (let attempt = 0; attempt <= settings.maxRetries; attempt++) {
-            try {
-                // 若已被中断，直接停止重试
-                if (abortSignal?.aborted) {
-                    log(`请求已被中断，停止重试: ${url}`);
-                    throw new DOMException('Aborted', 'AbortError');
+        // Gemini 分片
+        if (Array.isArray(obj?.candidates)) {
+            for (const c of obj.candidates) {
+                const cParts = Array.isArray(c?.content?.parts) ? c.content.parts : [];
+                for (const p of cParts) {
+                    if (typeof p?.text === 'string') parts.push(p.text);
                 }
-                log(`尝试请求 ${url} (第${attempt + 1}次)`);
+            }
+        }
 
-                const response = await originalFetch(url, options);
+        // KoboldCpp 等文本补全流
+        if (typeof obj?.token === 'string') parts.push(obj.token);
 
-                // 检查响应状态
-                if (!response.ok) {
-                    // 尝试附加原始错误正文
-                    try {
-                        const errClone = response.clone();
-                        const errText = await errClone.text();
-                        const httpError = new Error(`HTTP ${response.status}: ${response.statusText}\n${errText || ''}`.trim());
-                        httpError.status = response.status;
-                        httpError.statusText = response.statusText;
-                        httpError.body = errText;
-                        throw httpError;
-                    } catch (e) {
-                        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                    }
+        return {
+            text: parts.join(''),
+            done,
+            finishReason: extractFinishReason(obj),
+            stopMatch: extractStopMatch(obj),
+            error: detectErrorEnvelope(obj),
+            usage: extractUsage(obj),
+        };
+    }
+
+    // 提取结束原因：OpenAI finish_reason、Claude stop_reason、Gemini finishReason
+    function extractFinishReason(obj) {
+        if (!obj || typeof obj !== 'object') return null;
+        if (Array.isArray(obj.choices)) {
+            const ch = obj.choices.find(c => c?.finish_reason);
+            if (ch) return String(ch.finish_reason);
+        }
+        if (obj.stop_reason) return String(obj.stop_reason);
+        if (obj.delta?.stop_reason) return String(obj.delta.stop_reason);
+        if (Array.isArray(obj.candidates)) {
+            const c = obj.candidates.find(x => x?.finishReason);
+            if (c) return String(c.finishReason);
+        }
+        return null;
+    }
+
+    // 提取命中的停止序列：vLLM 等 OpenAI 兼容接口的 choices[].stop_reason、SGLang 的 matched_stop、
+    // Claude 的 stop_sequence、llama.cpp 的 stopping_word；未给出时返回 null
+    function extractStopMatch(obj) {
+        if (!obj || typeof obj !== 'object') return null;
+        const present = (value) => value !== undefined && value !== null && value !== '';
+        if (Array.isArray(obj.choices)) {
+            for (const ch of obj.choices) {
+                if (present(ch?.stop_reason)) return ch.stop_reason;
+                if (present(ch?.matched_stop)) return ch.matched_stop;
+            }
+        }
+        if (present(obj.stop_sequence)) return obj.stop_sequence;
+        if (present(obj.delta?.stop_sequence)) return obj.delta.stop_sequence;
+        if (present(obj.stopping_word)) return obj.stopping_word;
+        return null;
+    }
+
+    // 提取用量：OpenAI usage、Claude usage / message.usage（流式）、Gemini usageMetadata；返回 { prompt?, completion? } 或 null
+    function extractUsage(obj) {
+        if (!obj || typeof obj !== 'object') return null;
+        const usage = obj.usage || obj.message?.usage || obj.usageMetadata;
+        if (!usage || typeof usage !== 'object') return null;
+        const result = {};
+        const prompt = usage.prompt_tokens ?? usage.input_tokens ?? usage.promptTokenCount;
+        if (Number.isFinite(Number(prompt)) && prompt !== null) result.prompt = Number(prompt);
+        let completion = usage.completion_tokens ?? usage.output_tokens ?? usage.candidatesTokenCount;
+        if (usage.thoughtsTokenCount) completion = Number(completion || 0) + Number(usage.thoughtsTokenCount);
+        if (Number.isFinite(Number(completion)) && completion !== null) result.completion = Number(completion);
+        return Object.keys(result).length ? result : null;
+    }
+
+    // 表示回复被安全策略拦截的结束原因（Gemini、OpenAI）
+    const SAFETY_FINISH_REASONS = ['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII', 'RECITATION', 'IMAGE_SAFETY', 'CONTENT_FILTER'];
+
+    // 响应中是否带有实际回复内容（有内容时不把 error 等字段视为错误）
+    function hasResponsePayload(obj) {
+        if (Array.isArray(obj.choices) && obj.choices.length) return true;
+        if (Array.isArray(obj.results) && obj.results.length) return true;
+        if (Array.isArray(obj.content) && obj.content.length) return true;
+        if (Array.isArray(obj.candidates) && obj.candidates.some(c => c?.content?.parts?.length)) return true;
+        return typeof obj.delta?.text === 'string' || typeof obj.token === 'string';
+    }
+
+    // 识别 200 响应中夹带的错误：
+    // { error: {...} }（OpenAI/OpenRouter/各类代理）、{ type: 'error' }（Claude）、{ error: true, message }（酒馆后端）、
+    // Gemini promptFeedback.blockReason、安全过滤导致的空回复；返回 { reason, message } 或 null
+    function detectErrorEnvelope(obj) {
+        if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return null;
+        const error = obj.error;
+        if (error && !hasResponsePayload(obj)) {
+            let message;
+            if (typeof error === 'string') {
+                message = error;
+            } else if (error === true) {
+                message = String(obj.message || '未知错误');
+            } else {
+                const code = error.code ?? error.status ?? error.type;
+                message = String(error.message || error.msg || JSON.stringify(error));
+                if (code !== undefined && code !== null && !message.includes(String(code))) {
+                    message = `${code}: ${message}`;
                 }
+            }
+            return { reason: 'error', message };
+        }
+        const blockReason = obj.promptFeedback?.blockReason;
+        if (blockReason && !hasResponsePayload(obj)) {
+            const detail = obj.promptFeedback.blockReasonMessage;
+            return { reason: 'blocked', message: `提示词被拦截：${blockReason}${detail ? `（${detail}）` : ''}` };
+        }
+        const finishReason = extractFinishReason(obj);
+        if (finishReason && SAFETY_FINISH_REASONS.includes(finishReason.toUpperCase())) {
+            const hasText = (Array.isArray(obj.candidates) && obj.candidates.some(c => c?.content?.parts?.some(p => p?.text)))
+                || (Array.isArray(obj.choices) && obj.choices.some(c => c?.message?.content || c?.delta?.content || c?.text));
+            if (!hasText) {
+                return { reason: 'blocked', message: `回复被安全过滤：${finishReason}` };
+            }
+        }
+        return null;
+    }
+
+    // 识别以 200 返回的 HTML 错误页（反向代理、CDN、网关），返回 { reason, message } 或 null
+    function detectHtmlErrorPage(text, contentType = '') {
+        const trimmed = String(text || '').trimStart();
+        const looksHtml = /^<(!doctype html|html[\s>]|head[\s>]|body[\s>])/i.test(trimmed);
+        if (!looksHtml && !(String(contentType).toLowerCase().includes('text/html') && trimmed.startsWith('<'))) {
+            return null;
+        }
+        const title = trimmed.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1];
+        const summary = (title || trimmed.replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ').replace(/<[^>]+>/g, ' '))
+            .replace(/\s+/g, ' ')
+            .trim()
+            .slice(0, 200);
+        return { reason: 'html', message: `HTML 页面：${summary || '（无标题）'}` };
+    }
 
-                // 克隆响应以便检查内容
-                const clonedResponse = response.clone();
-                let text;
+    // 把识别出的错误转换为重试失败；保留上游原文以便显示在提示与错误弹窗中
+    function createUpstreamFailure(detected, status) {
+        log(`响应中检测到上游错误: ${detected.message}`, true);
+        return { kind: 'upstream', reason: detected.reason, detail: detected.message, status };
+    }
 
-                try {
-                    text = await clonedResponse.text();
-                } catch (e) {
-                    // 如果无法读取文本，返回原响应
-                    return response;
-                }
-
-                // 检查是否为空内容或低Token
-                let treatAsEmpty = isEmptyContent(text);
-                if (!treatAsEmpty && settings.enableMinTokenRetry) {
-                    const candidate = extractResponseContent(text) ?? text;
-                    const tokens = await getTokenCountFor(candidate);
-                    if (tokens < Number(settings.minTokenThreshold || 0)) {
-                        treatAsEmpty = true;
-                        log(`检测到Token过少: ${tokens} < ${settings.minTokenThreshold}`);
+    // 计算 n-gram 重复度：重复出现的 n-gram 占比（0~1）。中日韩文字按单字切分，其余按单词
+    function computeRepetitionScore(text, n = 4) {
+        const units = String(text || '').toLowerCase().match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]|[\p{L}\p{N}]+/gu) || [];
+        const size = Math.max(1, parseInt(n) || 4);
+        // 内容过短时不做判断
+        if (units.length < size * 4) return 0;
+        const seen = new Set();
+        const total = units.length - size + 1;
+        for (let i = 0; i < total; i++) {
+            seen.add(units.slice(i, i + size).join(' '));
+        }
+        return 1 - seen.size / total;
+    }
+
+    // 将屏蔽词文本编译为正则：支持 /.../flags 写法，否则按不区分大小写的正则处理
+    function compileBlocklistPattern(pattern) {
+        const p = String(pattern || '').trim();
+        if (!p) return null;
+        const m = p.match(/^\/(.+)\/([a-z]*)$/);
+        try {
+            return m ? new RegExp(m[1], m[2]) : new RegExp(p, 'i');
+        } catch {
+            return null;
+        }
+    }
+
+    // 内容校验器：validate(context, config) 未通过时返回说明文字，通过返回 null
+    // context: { content, raw, finishReason }
+    const CONTENT_VALIDATORS = [
+        {
+            id: 'blocklist',
+            label: '拒答/屏蔽词',
+            validate({ content }, config) {
+                const patterns = Array.isArray(config.blocklistPatterns) ? config.blocklistPatterns : [];
+                for (const pattern of patterns) {
+                    const re = compileBlocklistPattern(pattern);
+                    if (re && re.test(String(content || ''))) {
+                        return `命中屏蔽词 ${pattern}`;
                     }
                 }
+                return null;
+            },
+        },
+        {
+            id: 'finishReason',
+            label: '截断检测',
+            validate({ finishReason }) {
+                const reason = String(finishReason || '').toLowerCase();
+                if (reason === 'length' || reason === 'max_tokens') {
+                    return `输出被截断 (${finishReason})`;
+                }
+                return null;
+            },
+        },
+        {
+            id: 'repetition',
+            label: '重复检测',
+            validate({ content }, config) {
+                const score = computeRepetitionScore(content, config.repetitionNgram);
+                const threshold = Number(config.repetitionThreshold) || 0.5;
+                if (score > threshold) {
+                    return `重复度 ${score.toFixed(2)} > ${threshold}`;
+                }
+                return null;
+            },
+        },
+    ];
 
-                if (treatAsEmpty) {
-                    if (attempt < settings.maxRetries) {
-                        const delayMs = calculateDelay(attempt);
-                        log(`检测到空内容，${delayMs}ms后重试`, true);
-                        showRetryToast(attempt + 2, settings.maxRetries + 1, delayMs);
-                        await delay(delayMs, abortSignal);
-                        continue;
-                    } else {
-                        // 重试全部失败：显示内置错误弹窗并抛出错误
-                        const msg = `检测到空内容，已连续 ${settings.maxRetries + 1} 次尝试无有效响应。`;
-                        log(`达到最大重试次数：${msg}`, true);
-                        // 若为中断，不弹出错误
-                        if (!abortSignal?.aborted) {
-                            showBuiltinError(msg);
-                        }
-                        throw new Error(msg);
-                    }
+    // 内置校验器，卸载时据此移除外部注册的校验器
+    const BUILTIN_VALIDATORS = [...CONTENT_VALIDATORS];
+
+    // 依次运行已启用的校验器，返回首个未通过的结果
+    // 校验器是否启用：未在设置中出现时按校验器自身的默认值（外部注册的校验器可默认启用）
+    function isValidatorEnabled(validator, config = settings) {
+        const value = (config.validators || {})[validator.id];
+        return value === undefined ? !!validator.enabledByDefault : !!value;
+    }
+
+    function runValidators(context, config = settings) {
+        for (const validator of CONTENT_VALIDATORS) {
+            if (!isValidatorEnabled(validator, config)) continue;
+            try {
+                const reason = validator.validate(context, config);
+                if (reason) {
+                    return { id: validator.id, label: validator.label, reason };
+                }
+            } catch (e) {
+                log(`校验器 ${validator.id} 执行出错: ${e.message}`, true);
+            }
+        }
+        return null;
+    }
+
+    // 将已暂存的分片与上游剩余部分拼接为新的响应，供调用方实时读取
+    // hooks: { signal, chunk, end, received } —— 提交后看门狗继续监测分片间隔，内部 signal 中止时以该原因终止透传流
+    function buildPassthroughResponse(response, bufferedChunks, reader, hooks = null) {
+        let finished = false;
+        let onAbort = null;
+        const settle = () => {
+            if (finished) return;
+            finished = true;
+            if (onAbort) hooks.signal.removeEventListener('abort', onAbort);
+            hooks?.end?.();
+        };
+        const body = new ReadableStream({
+            start(controller) {
+                for (const chunk of bufferedChunks) {
+                    controller.enqueue(chunk);
+                }
+                if (!hooks?.signal) return;
+                onAbort = () => {
+                    const reason = hooks.signal.reason;
+                    settle();
+                    reader.cancel(reason).catch(() => {});
+                    controller.error(reason);
+                };
+                if (hooks.signal.aborted) {
+                    onAbort();
                 } else {
-                    if (attempt > 0) {
-                        log(`第${attempt + 1}次尝试成功获得内容`);
-                        showNotification(`重试成功获得响应`, 'success');
+                    hooks.signal.addEventListener('abort', onAbort, { once: true });
+                }
+            },
+            async pull(controller) {
+                try {
+                    const { done, value } = await reader.read();
+                    if (done) {
+                        settle();
+                        controller.close();
+                    } else {
+                        hooks?.chunk?.();
+                        controller.enqueue(value);
                     }
+                } catch (e) {
+                    settle();
+                    controller.error(e);
                 }
+            },
+            cancel(reason) {
+                settle();
+                return reader.cancel(reason);
+            },
+        });
+        return new Response(body, {
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers,
+        });
+    }
 
-                return response;
+    // 边接收边检测流式响应：
+    // 内容达标前暂存分片，达标后提交并实时透传剩余部分；流结束仍未达标则判定为空
+    async function inspectStreamResponse(response, config = settings, hooks = null) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        const parser = createSSEParser();
+        const buffered = [];
+        let content = '';
+        let finishReason = null;
+        let stopMatch = null;
+        let upstreamError = null;
+        let usage = null;
+        let sawDone = false;
+        let tokens = 0;
+        let countedLength = -1;
 
-            } catch (error) {
-                lastError = error;
-                log(`请求失败: ${error.message}`, true);
-                // 中断：立即抛出，不再重试，也不弹窗
-                if (isAbortError(error) || abortSignal?.aborted) {
-                    throw error;
-                }
-                if (attempt < settings.maxRetries) {
-                    const delayMs = calculateDelay(attempt);
-                    log(`${delayMs}ms后重试`);
-                    showRetryToast(attempt + 2, settings.maxRetries + 1, delayMs);
-                    await delay(delayMs, abortSignal);
+        const consume = (events) => {
+            for (const evt of events) {
+                const delta = extractStreamEventContent(evt.data);
+                content += delta.text;
+                if (delta.finishReason) finishReason = delta.finishReason;
+                if (delta.stopMatch != null) stopMatch = delta.stopMatch;
+                if (delta.error && config.detectEmbeddedErrors && !upstreamError) upstreamError = delta.error;
+                if (delta.usage) usage = { ...usage, ...delta.usage };
+                if (delta.done) sawDone = true;
+            }
+        };
+
+        const isSatisfied = async (final) => {
+            if (isEmptyContent(content, config)) return false;
+            if (!config.enableMinTokenRetry) return true;
+            if (final && isNaturalStop(finishReason, config, stopMatch)) {
+                tokens = await getTokenCountFor(content);
+                log(`流式响应因停止序列结束（${finishReason}），跳过Token阈值检查`);
+                return true;
+            }
+            const threshold = Number(config.minTokenThreshold || 0);
+            // Token 数不会超过字符数，先用字符数粗筛；流结束时按实际数量判定
+            if (!final && content.length < threshold) return false;
+            if (!final && countedLength >= 0 && content.length - countedLength < STREAM_RECOUNT_STEP) return false;
+            countedLength = content.length;
+            tokens = await getTokenCountFor(content);
+            return tokens >= threshold;
+        };
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            hooks?.chunk?.();
+            buffered.push(value);
+            consume(parser.push(decoder.decode(value, { stream: true })));
+            if (hooks?.received) Object.assign(hooks.received, { content, usage });
+            // 提交前收到错误事件：中止本次流，按上游错误重试
+            if (upstreamError) {
+                try { await reader.cancel(); } catch {}
+                return { committed: false, content, upstreamError, chunks: buffered };
+            }
+            if (await isSatisfied(false)) {
+                // 提交前对已暂存内容运行校验器；提交后不再重试
+                const validator = runValidators({ content, raw: null, finishReason }, config);
+                if (validator) {
+                    try { await reader.cancel(); } catch {}
+                    return { committed: false, content, tokens, validator, finishReason, usage, chunks: buffered };
                 }
+                return { committed: true, response: buildPassthroughResponse(response, buffered, reader, hooks) };
             }
         }
 
-        // 所有重试都失败了
-        log(`所有重试尝试失败，抛出最后一个错误`, true);
-        const err = lastError || new Error('重试次数已达上限');
-        // 发生中断：直接抛出，不显示弹窗
-        if (!isAbortError(err) && !(abortSignal?.aborted)) {
-            // 使用酒馆自带弹窗显示原始错误
-            showBuiltinError(err && (err.stack || err.message || String(err)));
+        consume(parser.push(decoder.decode()));
+        consume(parser.flush());
+        if (upstreamError) {
+            return { committed: false, content, upstreamError, chunks: buffered };
         }
-        throw err;
+        // 流已结束却没有结束原因与结束标记：连接中途断开
+        const dropped = !finishReason && !sawDone;
+        if (await isSatisfied(true)) {
+            const validator = runValidators({ content, raw: null, finishReason }, config);
+            if (validator) {
+                return { committed: false, content, tokens, validator, finishReason, usage, dropped, chunks: buffered };
+            }
+            return { committed: true, response: buildPassthroughResponse(response, buffered, reader, hooks) };
+        }
+        if (!isEmptyContent(content, config)) {
+            log(`流式响应Token过少: ${tokens} < ${config.minTokenThreshold}`);
+        }
+        return { committed: false, content, tokens, finishReason, usage, dropped, chunks: buffered };
     }
 
-    // 显示酒馆自带的错误弹窗
-    function showBuiltinError(message) {
-        if (!message) return;
-        try {
-            if (typeof callGenericPopup === 'function' && POPUP_TYPE) {
-                callGenericPopup(String(message), POPUP_TYPE.TEXT, '请求失败');
-            } else if (typeof toastr !== 'undefined') {
-                toastr.error(String(message), '请求失败');
-            } else {
-                console.error(`[${EXTENSION_NAME}]`, message);
+    const WATCHDOG_LABELS = {
+        firstByte: '首字节超时',
+        idle: '流式分片间隔超时',
+        total: '单次尝试超时',
+    };
+
+    // 单次尝试的看门狗：超时后以 TimeoutError 中止插件内部的 AbortController（与用户中断区分）
+    function createAttemptWatchdog(controller, config) {
+        const timers = {};
+        let fired = null;
+
+        const clear = (type) => {
+            if (timers[type]) {
+                clearTimeout(timers[type]);
+                delete timers[type];
             }
-        } catch (e) {
-            console.error(`[${EXTENSION_NAME}] 显示错误弹窗失败:`, e);
-            try { toastr?.error(String(message), '请求失败'); } catch {}
+        };
+        const fire = (type, ms) => {
+            if (fired) return;
+            fired = type;
+            for (const key of Object.keys(timers)) clear(key);
+            const err = new Error(`${WATCHDOG_LABELS[type]}（${ms}ms）`);
+            err.name = 'TimeoutError';
+            log(`看门狗触发：${err.message}`, true);
+            controller.abort(err);
+        };
+        const arm = (type, value) => {
+            clear(type);
+            const ms = Number(value) || 0;
+            if (ms > 0 && !fired) {
+                timers[type] = setTimeout(() => fire(type, ms), ms);
+            }
+        };
+
+        return {
+            get fired() {
+                return fired;
+            },
+            start() {
+                arm('firstByte', config.firstByteTimeout);
+                arm('total', config.attemptTimeout);
+            },
+            // 收到响应头；流式响应开始监测分片间隔
+            headersReceived(streaming) {
+                clear('firstByte');
+                if (streaming) arm('idle', config.idleTimeout);
+            },
+            chunk() {
+                if (timers.idle) arm('idle', config.idleTimeout);
+            },
+            // 流式响应已提交：单次尝试超时只约束到开始透传为止，之后仅保留分片间隔超时
+            committed() {
+                clear('firstByte');
+                clear('total');
+            },
+            stop() {
+                for (const key of Object.keys(timers)) clear(key);
+            },
+        };
+    }
+
+    // 合并字节分片
+    function concatChunks(chunks) {
+        const total = chunks.reduce((sum, c) => sum + c.byteLength, 0);
+        const out = new Uint8Array(total);
+        let offset = 0;
+        for (const c of chunks) {
+            out.set(c, offset);
+            offset += c.byteLength;
         }
+        return out;
     }
 
-    // 加载设置
-    function loadSettings() {
-        // 不要在这里写回 extension_settings，避免覆盖主程序稍后异步加载的持久化值
-        // 仅读取并合并到本地 settings
-        let persisted = {};
-        try {
-            // 兼容早期兜底的 localStorage
-            const raw = localStorage.getItem('sillytavern_extension_settings');
-            if (raw) {
-                const obj = JSON.parse(raw);
-                if (obj && obj[EXTENSION_NAME] && typeof obj[EXTENSION_NAME] === 'object') {
-                    persisted = { ...obj[EXTENSION_NAME] };
-                }
-            }
-        } catch {}
+    // 判断策略条目是否匹配某次失败
+    // 支持：精确状态码(429)、通配(5xx)、区间(500-599)、类别关键字(network/empty/lowToken/validator)、
+    // 指定校验器(validator:repetition)、*(全部)
+    function matchesPolicyEntry(entry, failure) {
+        const m = String(entry?.match || '').trim().toLowerCase();
+        if (!m || !failure) return false;
+        if (m === '*') return true;
+        if (failure.kind === 'validator' && m === `validator:${String(failure.validator).toLowerCase()}`) {
+            return true;
+        }
+        if (failure.kind !== 'http') {
+            return m === String(failure.kind).toLowerCase();
+        }
+        const status = Number(failure.status);
+        if (/^\d{3}$/.test(m)) return status === Number(m);
+        if (/^\dxx$/.test(m)) return Math.floor(status / 100) === Number(m[0]);
+        const range = m.match(/^(\d{3})\s*-\s*(\d{3})$/);
+        if (range) return status >= Number(range[1]) && status <= Number(range[2]);
+        return false;
+    }
 
-        if (extension_settings && extension_settings[EXTENSION_NAME]) {
-            persisted = { ...persisted, ...extension_settings[EXTENSION_NAME] };
+    // 查找失败对应的处理方式
+    function resolvePolicyAction(failure) {
+        const policy = Array.isArray(settings.retryPolicy) ? settings.retryPolicy : DEFAULT_RETRY_POLICY;
+        const entry = policy.find(e => matchesPolicyEntry(e, failure));
+        if (entry && POLICY_ACTIONS[entry.action]) {
+            return { action: entry.action, match: entry.match };
         }
+        return { action: 'retry', match: '(默认)' };
+    }
 
-        settings = { ...DEFAULT_SETTINGS, ...persisted };
+    // 规则可覆盖的全局设置项
+    const RULE_OVERRIDE_KEYS = ['maxRetries', 'baseDelay', 'minTokenThreshold', 'checkWhitespace', 'enableHedging', 'hedgeDelay'];
+
+    // 规范化单条规则：兼容旧版字符串规则
+    function normalizeRule(rule) {
+        if (typeof rule === 'string') {
+            return { name: '', pattern: rule, enabled: true, exclude: false, methods: [], conditions: [], overrides: {}, fallbacks: [] };
+        }
+        if (!rule || typeof rule !== 'object') return null;
+        return {
+            ...rule,
+            name: String(rule.name || ''),
+            pattern: String(rule.pattern || ''),
+            enabled: rule.enabled !== false,
+            exclude: !!rule.exclude,
+            methods: Array.isArray(rule.methods) ? rule.methods.map(m => String(m).trim().toUpperCase()).filter(Boolean) : [],
+            conditions: Array.isArray(rule.conditions) ? rule.conditions.map(c => String(c).trim()).filter(Boolean) : [],
+            overrides: rule.overrides && typeof rule.overrides === 'object' ? { ...rule.overrides } : {},
+            fallbacks: Array.isArray(rule.fallbacks) ? rule.fallbacks.filter(f => f && typeof f === 'object').map(f => ({ ...f })) : [],
+        };
     }
 
-    // 保存设置
-    function saveSettings() {
-        extension_settings[EXTENSION_NAME] = { ...settings };
-        if (saveSettingsDebounced) {
-            saveSettingsDebounced();
+    function normalizeRules(rules) {
+        return (Array.isArray(rules) ? rules : []).map(normalizeRule).filter(Boolean);
+    }
+
+    // 规则在界面与日志中的显示名
+    function getRuleLabel(rule) {
+        if (!rule) return '';
+        return rule.name ? `${rule.name} (${rule.pattern})` : String(rule.pattern);
+    }
+
+    // 合并规则覆盖项与角色/聊天覆盖项，返回本次请求的生效配置；未设置的项沿用全局设置
+    // scopeOverrides 为已解析的角色/聊天覆盖，省略时现场读取
+    function resolveRuleConfig(rule, scopeOverrides = getActiveScopeOverrides()) {
+        const config = { ...settings };
+        const overrides = rule?.overrides || {};
+        for (const key of RULE_OVERRIDE_KEYS) {
+            if (overrides[key] !== undefined && overrides[key] !== null && overrides[key] !== '') {
+                config[key] = overrides[key];
+            }
         }
+        return applyScopeOverrides(config, scopeOverrides);
     }
 
-    // 创建设置UI
-    function createSettingsUI() {
+    // 角色/聊天覆盖可修改的设置项
+    const SCOPE_OVERRIDE_KEYS = ['enabled', 'minTokenThreshold', 'maxRetries', 'validators'];
+
+    const SCOPE_LABELS = {
+        global: '全局',
+        character: '角色',
+        chat: '聊天',
+    };
+
+    // 读取酒馆当前上下文（角色列表、聊天元数据等）；不可用时返回 null
+    function getHostContext() {
+        try {
+            const fn = getContextFn || window.SillyTavern?.getContext;
+            return typeof fn === 'function' ? fn() : null;
+        } catch {
+            return null;
+        }
+    }
+
+    // 规范化覆盖项：只保留允许的键，空值表示沿用
+    function normalizeScopeOverrides(raw) {
+        const result = {};
+        if (!raw || typeof raw !== 'object') return result;
+        if (typeof raw.enabled === 'boolean') {
+            result.enabled = raw.enabled;
+        }
+        for (const key of ['maxRetries', 'minTokenThreshold']) {
+            if (raw[key] === undefined || raw[key] === null || raw[key] === '') continue;
+            const n = Number(raw[key]);
+            if (Number.isFinite(n) && n >= 0) {
+                result[key] = Math.floor(n);
+            }
+        }
+        if (raw.validators && typeof raw.validators === 'object') {
+            const validators = {};
+            for (const [id, value] of Object.entries(raw.validators)) {
+                if (typeof value === 'boolean') validators[id] = value;
+            }
+            if (Object.keys(validators).length) {
+                result.validators = validators;
+            }
+        }
+        return result;
+    }
+
+    // 当前角色与当前聊天上保存的覆盖项；群聊没有单一角色，只提供聊天范围
+    function getScopeOverrides() {
+        const result = { character: null, chat: null, characterName: '', hasCharacter: false, hasChat: false };
+        const context = getHostContext();
+        if (!context) return result;
+        const character = context.groupId ? null : context.characters?.[context.characterId];
+        if (character) {
+            result.hasCharacter = true;
+            result.characterName = character.name || '';
+            const overrides = normalizeScopeOverrides(character.data?.extensions?.[EXTENSION_NAME]);
+            result.character = Object.keys(overrides).length ? overrides : null;
+        }
+        if (context.chatId && context.chatMetadata && typeof context.chatMetadata === 'object') {
+            result.hasChat = true;
+            const overrides = normalizeScopeOverrides(context.chatMetadata[EXTENSION_NAME]);
+            result.chat = Object.keys(overrides).length ? overrides : null;
+        }
+        return result;
+    }
+
+    // 依次合并角色、聊天覆盖（聊天优先），scope 为生效的最具体范围
+    function resolveScopeOverrides(scopes = getScopeOverrides()) {
+        const merged = {};
+        let scope = 'global';
+        for (const key of ['character', 'chat']) {
+            const overrides = scopes[key];
+            if (!overrides) continue;
+            scope = key;
+            for (const [name, value] of Object.entries(overrides)) {
+                merged[name] = name === 'validators' ? { ...merged.validators, ...value } : value;
+            }
+        }
+        return { overrides: merged, scope };
+    }
+
+    // 当前生效的角色/聊天覆盖；读取出错时按无覆盖处理，不影响请求本身
+    function getActiveScopeOverrides() {
+        try {
+            return resolveScopeOverrides().overrides;
+        } catch (e) {
+            log(`读取角色/聊天覆盖失败: ${e.message}`, true);
+            return {};
+        }
+    }
+
+    function applyScopeOverrides(config, overrides = getActiveScopeOverrides()) {
+        for (const key of SCOPE_OVERRIDE_KEYS) {
+            if (overrides[key] === undefined) continue;
+            config[key] = key === 'validators' ? { ...config.validators, ...overrides.validators } : overrides[key];
+        }
+        return config;
+    }
+
+    // 考虑角色/聊天覆盖后，重试功能是否启用
+    function isRetryEnabled(overrides = getActiveScopeOverrides()) {
+        return overrides.enabled !== undefined ? overrides.enabled : !!settings.enabled;
+    }
+
+    // 覆盖项的简短描述，用于设置面板与诊断输出
+    function describeScopeOverrides(overrides) {
+        if (!overrides) return '无覆盖';
+        const parts = [];
+        if (overrides.enabled !== undefined) parts.push(overrides.enabled ? '启用' : '停用');
+        if (overrides.maxRetries !== undefined) parts.push(`最大重试 ${overrides.maxRetries}`);
+        if (overrides.minTokenThreshold !== undefined) parts.push(`Token阈值 ${overrides.minTokenThreshold}`);
+        for (const [id, value] of Object.entries(overrides.validators || {})) {
+            const validator = CONTENT_VALIDATORS.find(v => v.id === id);
+            parts.push(`${validator ? validator.label : id}${value ? '开' : '关'}`);
+        }
+        return parts.join('、') || '无覆盖';
+    }
+
+    // 保存覆盖项：角色写入角色卡扩展数据，聊天写入聊天元数据；传入空值即清除
+    async function saveScopeOverrides(scope, overrides) {
+        const context = getHostContext();
+        const value = normalizeScopeOverrides(overrides);
+        const stored = Object.keys(value).length ? value : null;
+        if (scope === 'character') {
+            if (!context || context.groupId || !context.characters?.[context.characterId]) {
+                throw new Error('当前没有选中单个角色');
+            }
+            if (typeof context.writeExtensionField !== 'function') {
+                throw new Error('当前酒馆版本不支持保存角色扩展数据');
+            }
+            await context.writeExtensionField(context.characterId, EXTENSION_NAME, stored);
+        } else if (scope === 'chat') {
+            if (!context || !context.chatId || !context.chatMetadata) {
+                throw new Error('当前没有打开的聊天');
+            }
+            if (stored) {
+                context.chatMetadata[EXTENSION_NAME] = stored;
+            } else {
+                delete context.chatMetadata[EXTENSION_NAME];
+            }
+            if (typeof context.saveMetadata === 'function') {
+                await context.saveMetadata();
+            }
+        } else {
+            throw new Error(`未知的覆盖范围：${scope}`);
+        }
+        log(`${SCOPE_LABELS[scope]}覆盖已保存：${describeScopeOverrides(stored)}`);
+    }
+
+    // 刷新设置面板中的角色/聊天覆盖区域
+    function renderScopeOverrides() {
+        try {
+            if (!$('#scope-status').length) return;
+            const scopes = getScopeOverrides();
+            const { scope } = resolveScopeOverrides(scopes);
+            const characterText = scopes.hasCharacter
+                ? `当前角色「${scopes.characterName}」：${describeScopeOverrides(scopes.character)}`
+                : '当前角色：未选中单个角色';
+            const chatText = scopes.hasChat ? `当前聊天：${describeScopeOverrides(scopes.chat)}` : '当前聊天：未打开';
+            $('#scope-status').text(`${characterText}；${chatText}；生效范围：${SCOPE_LABELS[scope]}`);
+
+            const target = String($('#scope-target').val() || 'character');
+            const available = target === 'chat' ? scopes.hasChat : scopes.hasCharacter;
+            const overrides = scopes[target] || {};
+            $('#scope-enabled').val(overrides.enabled === undefined ? '' : String(overrides.enabled));
+            $('#scope-max-retries').val(overrides.maxRetries ?? '');
+            $('#scope-threshold').val(overrides.minTokenThreshold ?? '');
+            $('#scope-validators .scope-validator').each(function() {
+                const value = (overrides.validators || {})[$(this).attr('data-id')];
+                $(this).val(value === undefined ? '' : String(value));
+            });
+            $(`#${EXTENSION_NAME}-settings .scope-field`).prop('disabled', !available);
+        } catch {}
+    }
+
+    // 解析匹配内容：/.../flags 为正则（g、y 标志会被忽略），否则为不区分大小写的子串；无效正则返回 { error }
+    function compileRulePattern(pattern) {
+        const p = String(pattern || '');
+        const m = p.match(/^\/(.+)\/([dgimsuy]*)$/);
+        if (!m) {
+            return { substring: p.toLowerCase() };
+        }
+        try {
+            return { regex: new RegExp(m[1], m[2].replace(/[gy]/g, '')) };
+        } catch (e) {
+            return { error: e.message };
+        }
+    }
+
+    // 请求体条件：路径 == 值 / 路径 != 值；值按 JSON 解析（"字符串"、数字、true/false/null），解析失败按原样字符串比较
+    function parseRuleCondition(text) {
+        const m = String(text || '').trim().match(/^([^\s=!]+)\s*(==|!=)\s*(.+)$/);
+        if (!m) return null;
+        let value;
+        try {
+            value = JSON.parse(m[3].trim());
+        } catch {
+            value = m[3].trim();
+        }
+        return { path: m[1], op: m[2], value };
+    }
+
+    // 路径含 [*] 时任一匹配值相等即视为相等
+    function evaluateRuleCondition(condition, body) {
+        const equal = selectJsonPath(body, condition.path).some(actual => (
+            actual !== null && typeof actual === 'object'
+                ? JSON.stringify(actual) === JSON.stringify(condition.value)
+                : actual === condition.value
+        ));
+        return condition.op === '==' ? equal : !equal;
+    }
+
+    // 规则配置中的问题（无效正则、无法解析的条件），供规则列表提示
+    function getRuleProblems(rule) {
+        const problems = [];
+        const compiled = compileRulePattern(rule?.pattern);
+        if (compiled.error) {
+            problems.push(`正则无效：${compiled.error}`);
+        }
+        for (const condition of rule?.conditions || []) {
+            if (!parseRuleCondition(condition)) {
+                problems.push(`无法解析的条件：${condition}`);
+            }
+        }
+        return problems;
+    }
+
+    // 本次请求的方法与请求体（请求体按需解析），供规则的方法与条件过滤使用
+    function getRequestContext(url, options) {
+        const isRequest = typeof Request !== 'undefined' && url instanceof Request;
+        const method = String(options?.method || (isRequest ? url.method : '') || 'GET').toUpperCase();
+        let body;
+        return {
+            method,
+            get body() {
+                if (body === undefined) {
+                    body = null;
+                    try {
+                        if (typeof options?.body === 'string') body = JSON.parse(options.body);
+                    } catch {}
+                }
+                return body;
+            },
+        };
+    }
+
+    // 判断是否需要拦截某个请求
+    // request 为 getRequestContext 的结果；不传时只按 URL 判断（不检查方法与请求体条件）
+    function matchesRule(url, rule, request = null) {
+        if (rule && typeof rule === 'object') {
+            if (rule.enabled === false) return false;
+            if (request && rule.methods?.length && !rule.methods.includes(request.method)) return false;
+            if (!matchesRule(url, rule.pattern)) return false;
+            if (request && rule.conditions?.length) {
+                const body = request.body;
+                if (!body || typeof body !== 'object') return false;
+                return rule.conditions.every(text => {
+                    const condition = parseRuleCondition(text);
+                    return !!condition && evaluateRuleCondition(condition, body);
+                });
+            }
+            return true;
+        }
+        if (!rule || typeof rule !== 'string') return false;
+        const compiled = compileRulePattern(rule);
+        // 无效正则则忽略（规则列表中会提示）
+        if (compiled.error) return false;
+        if (compiled.regex) return compiled.regex.test(url);
+        // 子串匹配（大小写不敏感，包含即匹配）
+        return String(url).toLowerCase().includes(compiled.substring);
+    }
+
+    // 返回首个命中的拦截规则；任一排除规则命中时不拦截，未命中返回 null
+    function findMatchingRule(url, request = null) {
+        const rules = Array.isArray(settings.interceptRules) ? settings.interceptRules : [];
+        if (!rules.length) {
+            // 规则为空：不拦截任何请求（白名单模式）
+            return null;
+        }
+        const matched = rules.filter(rule => matchesRule(url, rule, request));
+        if (matched.some(rule => rule.exclude)) {
+            return null;
+        }
+        return matched[0] || null;
+    }
+
+    function shouldIntercept(url, request = null) {
+        return !!findMatchingRule(url, request);
+    }
+
+    // 增强的fetch函数
+    async function enhancedFetch(url, options = {}) {
+        // 未命中拦截规则：直接透传（先匹配规则，无关请求不必读取角色/聊天覆盖）
+        let rule;
+        try {
+            const u = getRequestUrl(url);
+            rule = findMatchingRule(u, getRequestContext(url, options));
+            if (!rule) {
+                return originalFetch(url, options);
+            }
+        } catch (e) {
+            // URL 解析失败则按不拦截处理
+            return originalFetch(url, options);
+        }
+
+        const scopeOverrides = getActiveScopeOverrides();
+        if (!isRetryEnabled(scopeOverrides)) {
+            return originalFetch(url, options);
+        }
+
+        // 合并规则自身的覆盖项，得到本次请求的生效配置
+        const config = resolveRuleConfig(rule, scopeOverrides);
+        log(`命中拦截规则: ${getRuleLabel(rule)}`);
+
+        const abortSignal = options && options.signal ? options.signal : undefined;
+
+        // 熔断器：打开期间直接失败；冷却结束后只放行一次不重试的试探请求
+        const breaker = config.enableCircuitBreaker ? getCircuitBreaker(url, rule) : null;
+        if (breaker) {
+            const blocked = acquireCircuitBreaker(breaker);
+            if (blocked) {
+                log(blocked.message, true);
+                showNotification(blocked.message, 'error');
+                throw blocked;
+            }
+        }
+        const requestConfig = breaker?.state === 'half-open' ? { ...config, maxRetries: 0 } : config;
+
+        // 请求级的 AbortController：与用户的 signal 串联，供进度框的“取消”中止整个请求
+        const requestController = new AbortController();
+        const onUserAbort = () => requestController.abort(abortSignal.reason);
+        if (abortSignal) {
+            if (abortSignal.aborted) {
+                requestController.abort(abortSignal.reason);
+            } else {
+                abortSignal.addEventListener('abort', onUserAbort, { once: true });
+            }
+        }
+        const unlinkUserSignal = () => abortSignal?.removeEventListener('abort', onUserAbort);
+        // 流式响应仍在透传时保持串联，待流结束（完成、出错或被取消）后再解除
+        let keepLinked = false;
+        const requestOptions = { ...options, signal: requestController.signal };
+
+        const record = startHistoryRecord(url, rule);
+        const session = { id: ++requestSeq, rule, record, candidates: [] };
+        session.progress = createRetryProgress(session, requestController);
+        try {
+            const response = await executeRequest(url, requestOptions, rule, requestConfig, session);
+            recordCircuitBreakerResult(breaker, 'success', config);
+            if (abortSignal && response.body && isEventStreamResponse(response)) {
+                keepLinked = true;
+                return buildPassthroughResponse(response, [], response.body.getReader(), { end: unlinkUserSignal });
+            }
+            return response;
+        } catch (error) {
+            const aborted = isAbortError(error) || requestController.signal.aborted;
+            recordCircuitBreakerResult(breaker, aborted ? 'aborted' : (error.retryExhausted ? 'exhausted' : 'failed'), config);
+            finishHistoryRecord(record, aborted ? 'aborted' : 'failed');
+            session.progress.finish(aborted ? 'cancelled' : 'error', aborted ? '已取消' : String(error?.message || error));
+            throw error;
+        } finally {
+            if (!keepLinked) unlinkUserSignal();
+        }
+    }
+
+    // XHR 拦截的内部状态，避免在原生对象上挂载额外属性
+    const xhrRequests = new WeakMap();
+    const xhrStates = new WeakMap();
+
+    // 生成拦截版的 XMLHttpRequest：命中规则的异步请求改由 enhancedFetch 发出（同样的匹配、判空与重试），
+    // 再按原生 XHR 的 readyState 变化与事件顺序（loadstart → readystatechange/progress → load/error/abort/timeout → loadend）回放结果。
+    // jQuery.ajax 通过 window.XMLHttpRequest 创建请求，因此同样会被拦截。
+    function createRetryingXHR(NativeXHR) {
+        return class RetryingXMLHttpRequest extends NativeXHR {
+            open(method, url, async = true, user, password) {
+                // 与原生 XHR 一致：重新 open 时静默终止仍在进行的请求，其结果与事件不再作用于本对象
+                const previous = xhrStates.get(this);
+                if (previous && !previous.done) {
+                    previous.done = true;
+                    clearTimeout(previous.timer);
+                    previous.controller.abort();
+                }
+                xhrRequests.set(this, {
+                    method: String(method || 'GET').toUpperCase(),
+                    url: String(url),
+                    async: async !== false,
+                    headers: {},
+                });
+                xhrStates.delete(this);
+                return super.open(method, url, async, user, password);
+            }
+
+            setRequestHeader(name, value) {
+                const request = xhrRequests.get(this);
+                if (request) {
+                    const previous = request.headers[name];
+                    request.headers[name] = previous ? `${previous}, ${value}` : String(value);
+                }
+                return super.setRequestHeader(name, value);
+            }
+
+            send(body = null) {
+                const request = xhrRequests.get(this);
+                // 同步请求、文档类型的请求体与未命中规则的请求按原生方式发送
+                const isDocument = typeof Document !== 'undefined' && body instanceof Document;
+                if (!request || !request.async || isDocument || !settings.interceptXHR) {
+                    return super.send(body);
+                }
+                const options = {
+                    method: request.method,
+                    headers: { ...request.headers },
+                    body: request.method === 'GET' || request.method === 'HEAD' ? undefined : (body ?? undefined),
+                    credentials: this.withCredentials ? 'include' : 'same-origin',
+                };
+                if (!findMatchingRule(request.url, getRequestContext(request.url, options)) || !isRetryEnabled()) {
+                    return super.send(body);
+                }
+                sendXHRThroughRetry(this, request, options);
+            }
+
+            abort() {
+                const state = xhrStates.get(this);
+                if (!state) return super.abort();
+                if (!state.done) {
+                    finishXHRRetry(this, 'abort');
+                }
+                state.readyState = 0;
+            }
+
+            get readyState() {
+                const state = xhrStates.get(this);
+                return state ? state.readyState : super.readyState;
+            }
+
+            get status() {
+                const state = xhrStates.get(this);
+                return state ? state.status : super.status;
+            }
+
+            get statusText() {
+                const state = xhrStates.get(this);
+                return state ? state.statusText : super.statusText;
+            }
+
+            get responseURL() {
+                const state = xhrStates.get(this);
+                return state ? state.responseURL : super.responseURL;
+            }
+
+            get responseText() {
+                const state = xhrStates.get(this);
+                return state ? state.text : super.responseText;
+            }
+
+            get responseXML() {
+                return xhrStates.has(this) ? null : super.responseXML;
+            }
+
+            get response() {
+                const state = xhrStates.get(this);
+                if (!state) return super.response;
+                switch (this.responseType) {
+                    case '':
+                    case 'text':
+                        return state.text;
+                    case 'json':
+                        if (state.readyState !== 4) return null;
+                        try { return JSON.parse(state.text); } catch { return null; }
+                    case 'arraybuffer':
+                        return state.readyState === 4 ? concatChunks(state.chunks).buffer : null;
+                    case 'blob':
+                        return state.readyState === 4 ? new Blob(state.chunks, { type: state.headers?.get('content-type') || '' }) : null;
+                    default:
+                        return null;
+                }
+            }
+
+            getResponseHeader(name) {
+                const state = xhrStates.get(this);
+                if (!state) return super.getResponseHeader(name);
+                return state.readyState >= 2 && state.headers ? state.headers.get(name) : null;
+            }
+
+            getAllResponseHeaders() {
+                const state = xhrStates.get(this);
+                if (!state) return super.getAllResponseHeaders();
+                if (state.readyState < 2 || !state.headers) return '';
+                return [...state.headers].map(([key, value]) => `${key}: ${value}\r\n`).join('');
+            }
+        };
+    }
+
+    // 经由 enhancedFetch 发出命中规则的 XHR 请求，最终响应开始透传后逐段回放为 LOADING 与 progress
+    function sendXHRThroughRetry(xhr, request, options) {
+        const state = {
+            readyState: 1,
+            status: 0,
+            statusText: '',
+            responseURL: '',
+            headers: null,
+            chunks: [],
+            text: '',
+            loaded: 0,
+            total: 0,
+            done: false,
+            controller: new AbortController(),
+            timer: null,
+        };
+        xhrStates.set(xhr, state);
+        if (xhr.timeout > 0) {
+            state.timer = setTimeout(() => finishXHRRetry(xhr, 'timeout', state), xhr.timeout);
+        }
+        dispatchXHRProgress(xhr, 'loadstart', state);
+
+        enhancedFetch(request.url, { ...options, signal: state.controller.signal }).then(async (response) => {
+            if (state.done) return;
+            state.status = response.status;
+            state.statusText = response.statusText;
+            state.headers = response.headers;
+            state.responseURL = response.url || request.url;
+            state.total = Number(response.headers.get('content-length')) || 0;
+            setXHRReadyState(xhr, state, 2);
+
+            const reader = response.body ? response.body.getReader() : null;
+            const decoder = new TextDecoder();
+            while (reader) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                if (state.done) {
+                    try { await reader.cancel(); } catch {}
+                    return;
+                }
+                state.chunks.push(value);
+                state.loaded += value.byteLength;
+                state.text += decoder.decode(value, { stream: true });
+                setXHRReadyState(xhr, state, 3);
+                dispatchXHRProgress(xhr, 'progress', state);
+            }
+            state.text += decoder.decode();
+            finishXHRRetry(xhr, 'load', state);
+        }).catch((error) => {
+            if (state.done) return;
+            log(`XHR 请求失败: ${error?.message || error}`, true);
+            finishXHRRetry(xhr, isAbortError(error) ? 'abort' : 'error', state);
+        });
+    }
+
+    // 结束 XHR 请求：type 为 load / error / abort / timeout；state 为该次请求的状态（默认取当前状态）
+    function finishXHRRetry(xhr, type, state = xhrStates.get(xhr)) {
+        if (!state || state.done) return;
+        state.done = true;
+        clearTimeout(state.timer);
+        if (type !== 'load') {
+            state.controller.abort();
+            state.status = 0;
+            state.statusText = '';
+        }
+        setXHRReadyState(xhr, state, 4);
+        dispatchXHRProgress(xhr, type, state);
+        dispatchXHRProgress(xhr, 'loadend', state);
+    }
+
+    function setXHRReadyState(xhr, state, readyState) {
+        state.readyState = readyState;
+        xhr.dispatchEvent(new Event('readystatechange'));
+    }
+
+    function dispatchXHRProgress(xhr, type, state) {
+        xhr.dispatchEvent(new ProgressEvent(type, {
+            lengthComputable: state.total > 0,
+            loaded: state.loaded,
+            total: state.total,
+        }));
+    }
+
+    // 执行主请求的重试循环与备用链；成功时记录历史并返回响应，失败时抛出
+    // session: { id 请求序号, rule 命中的规则, record 历史记录, candidates 未达标但非空的回复,
+    //            fetchImpl 发起请求的函数（默认原始 fetch）, dryRun 诊断模拟 }
+    async function executeRequest(url, options, rule, config, session) {
+        const { record } = session;
+        const abortSignal = options && options.signal ? options.signal : undefined;
+        let outcome = await runRetryLoop(url, options, config, session);
+        let totalAttempts = outcome.attempts;
+        let usedFallback = null;
+
+        // 主请求失败（静默失败、用户接受当前回复与 Token 预算耗尽除外）：按顺序尝试备用链
+        if (!outcome.ok && !['silent', 'accept', 'budget'].includes(outcome.action)) {
+            const fallbacks = (rule.fallbacks || []).filter(f => f && f.enabled !== false);
+            for (const fallback of fallbacks) {
+                const request = applyFallback(url, options, fallback);
+                if (!request) continue;
+                const budgetStop = getTokenBudgetStop(session, config);
+                if (budgetStop) {
+                    log(budgetStop, true);
+                    outcome = { ok: false, failure: { kind: 'budget', detail: budgetStop, lastFailure: outcome.failure }, action: 'budget', attempts: 0 };
+                    break;
+                }
+                const label = getFallbackLabel(fallback);
+                log(`主请求失败（${describeFailure(outcome.failure)}），切换到备用: ${label}`, true);
+                showNotification(`切换到备用：${label}`, 'warning');
+                const fallbackConfig = { ...config, maxRetries: Math.max(0, parseInt(fallback.maxRetries) || 0) };
+                outcome = await runRetryLoop(request.url, request.options, fallbackConfig, session);
+                totalAttempts += outcome.attempts;
+                if (outcome.ok) {
+                    usedFallback = fallback;
+                    break;
+                }
+                if (outcome.action === 'silent' || outcome.action === 'budget') break;
+            }
+        }
+
+        if (outcome.ok) {
+            if (usedFallback) {
+                log(`备用「${getFallbackLabel(usedFallback)}」成功获得内容`);
+                notifyOutcome(session, 'success', `主请求失败，已由备用「${getFallbackLabel(usedFallback)}」返回响应`);
+            } else if (session.continuations) {
+                notifyOutcome(session, 'success', `回复被截断，已自动续写 ${session.continuations} 轮并拼接`);
+            } else if (outcome.attempts > 1) {
+                log(`第${outcome.attempts}次尝试成功获得内容`);
+                notifyOutcome(session, 'success', `重试成功获得响应（第 ${outcome.attempts} 次尝试）`);
+            } else {
+                notifyOutcome(session, 'success', '');
+            }
+            finishHistoryRecord(record, 'success', { fallback: usedFallback ? getFallbackLabel(usedFallback) : null });
+            emitRetryEvent('success', {
+                ...getEventContext(session, url),
+                attempts: totalAttempts,
+                status: outcome.response.status,
+                fallback: usedFallback ? getFallbackLabel(usedFallback) : null,
+            });
+            return outcome.response;
+        }
+
+        // 用户在进度框中接受了当前回复；或重试用尽且设置为返回最佳的一次回复
+        let best = null;
+        if (outcome.action === 'accept') {
+            best = session.candidates[session.candidates.length - 1] || null;
+        } else if (config.exhaustionMode === 'best' && (outcome.action === 'retry' || outcome.action === 'budget')) {
+            best = pickBestCandidate(session.candidates, config);
+        }
+        if (best) {
+            const size = best.tokens != null ? `${best.tokens} Token` : `${best.content.length} 字符`;
+            log(`${outcome.action === 'accept' ? '用户选择' : '重试用尽，'}接受第${best.attempt}次尝试的回复（${size}，${describeFailure(best.failure)}）`, true);
+            notifyOutcome(session, 'warning', outcome.action === 'accept'
+                ? `已接受第 ${best.attempt} 次尝试的回复（${size}）`
+                : `${outcome.action === 'budget' ? '已达 Token 预算' : '重试用尽'}，已接受未达标的回复（第 ${best.attempt} 次，${size}）`);
+            finishHistoryRecord(record, 'accepted', { acceptedAttempt: best.attempt });
+            emitRetryEvent('exhausted', {
+                ...getEventContext(session, url),
+                attempts: totalAttempts,
+                action: outcome.action,
+                failure: summarizeFailure(outcome.failure),
+                accepted: true,
+                acceptedAttempt: best.attempt,
+            });
+            return new Response(best.body, { status: best.status, statusText: best.statusText, headers: best.headers });
+        }
+
+        // 所有重试都失败了：显示内置错误弹窗并抛出错误
+        log(`所有重试尝试失败，抛出最后一个错误`, true);
+        const err = buildFailureError(outcome.failure, totalAttempts);
+        // 供熔断器区分“重试用尽”与策略判定的立即失败
+        if (err && typeof err === 'object') err.retryExhausted = outcome.action === 'retry';
+        emitRetryEvent('exhausted', {
+            ...getEventContext(session, url),
+            attempts: totalAttempts,
+            action: outcome.action,
+            failure: summarizeFailure(outcome.failure),
+            accepted: false,
+            error: err,
+        });
+        // 发生中断：直接抛出，不显示弹窗
+        if (outcome.action !== 'silent' && !(abortSignal?.aborted)) {
+            showFailureError(err, outcome.failure);
+        }
+        throw err;
+    }
+
+    // 执行一次请求并判定结果：返回 { response } 或 { failure }；用户中断时直接抛出
+    // 每次尝试使用插件内部的 AbortController，并与用户的 signal 串联，供看门狗单独中止本次尝试
+    // received：可选，流式响应提交前已收到的正文与用量写入其中，供超时或被中止的尝试统计 Token
+    async function performAttempt(url, options, config, fetchImpl = originalFetch, received = null) {
+        config = resolveTokenThreshold(config, options);
+        const abortSignal = options && options.signal ? options.signal : undefined;
+        const controller = new AbortController();
+        const watchdog = createAttemptWatchdog(controller, config);
+        const onUserAbort = () => controller.abort(abortSignal.reason);
+        if (abortSignal) {
+            if (abortSignal.aborted) {
+                controller.abort(abortSignal.reason);
+            } else {
+                abortSignal.addEventListener('abort', onUserAbort, { once: true });
+            }
+        }
+        // 流式响应提交后仍需保持串联与看门狗计时，由透传流在结束时自行清理
+        let keepLinked = false;
+
+        try {
+            watchdog.start();
+            const response = await fetchImpl(url, { ...options, signal: controller.signal });
+            const streaming = config.enableStreamDetection && response.body && isEventStreamResponse(response);
+            watchdog.headersReceived(streaming);
+
+            // 检查响应状态
+            if (!response.ok) {
+                // 尝试附加原始错误正文
+                let errText = '';
+                try {
+                    errText = await response.clone().text();
+                } catch {}
+                const httpError = new Error(`HTTP ${response.status}: ${response.statusText}\n${errText || ''}`.trim());
+                httpError.status = response.status;
+                httpError.statusText = response.statusText;
+                httpError.body = errText;
+                // 限流/过载：记录服务器建议的等待时间
+                if (response.status === 429 || response.status === 503) {
+                    httpError.retryAfterMs = parseRetryAfter(response.headers);
+                }
+                throw httpError;
+            }
+
+            if (streaming) {
+                // 流式响应：边接收边检测，达标后实时透传
+                const result = await inspectStreamResponse(response, config, {
+                    received,
+                    signal: controller.signal,
+                    chunk: () => watchdog.chunk(),
+                    // 透传结束（完成、出错或被取消）后停止计时并解除与用户 signal 的串联
+                    end: () => {
+                        watchdog.stop();
+                        if (abortSignal) abortSignal.removeEventListener('abort', onUserAbort);
+                    },
+                });
+                if (result.committed) {
+                    watchdog.committed();
+                    keepLinked = true;
+                    return { response: result.response };
+                }
+                if (result.upstreamError) {
+                    return { failure: createUpstreamFailure(result.upstreamError, response.status) };
+                }
+                const candidate = {
+                    body: concatChunks(result.chunks),
+                    content: result.content,
+                    finishReason: result.finishReason,
+                    streaming: true,
+                    truncated: isTruncatedReply(result.finishReason) || !!result.dropped,
+                    tokens: result.tokens || null,
+                    status: response.status,
+                    statusText: response.statusText,
+                    headers: response.headers,
+                };
+                if (result.validator) {
+                    return { failure: { ...createValidatorFailure(result.validator), status: response.status, usage: result.usage, candidate } };
+                }
+                if (isEmptyContent(result.content, config)) {
+                    return { failure: { kind: 'empty', status: response.status, usage: result.usage } };
+                }
+                return { failure: { kind: 'lowToken', status: response.status, tokens: result.tokens, threshold: config.minTokenThreshold, usage: result.usage, candidate } };
+            }
+
+            // 克隆响应以便检查内容
+            const clonedResponse = response.clone();
+            let text;
+
+            try {
+                text = await clonedResponse.text();
+            } catch (e) {
+                // 如果无法读取文本，返回原响应
+                return { response };
+            }
+
+            let parsed = null;
+            try { parsed = JSON.parse(text); } catch {}
+
+            // 200 响应中夹带的错误：先于内容提取检查，避免把错误信息当作正文
+            if (config.detectEmbeddedErrors) {
+                const detected = parsed ? detectErrorEnvelope(parsed) : detectHtmlErrorPage(text, response.headers.get('content-type'));
+                if (detected) {
+                    return { failure: { ...createUpstreamFailure(detected, response.status), usage: extractUsage(parsed) } };
+                }
+            }
+
+            // 检查是否为空内容或低Token（按提取出的正文判断，无法识别结构时使用原始文本）
+            const content = extractResponseContent(text, url) ?? text;
+            const usage = extractUsage(parsed);
+            if (isEmptyContent(content, config)) {
+                return { failure: { kind: 'empty', status: response.status, usage } };
+            }
+            // 保留未达标的回复，供重试用尽时择优返回
+            const finishReason = extractFinishReason(parsed);
+            const candidate = {
+                body: text,
+                content,
+                finishReason,
+                streaming: false,
+                truncated: isTruncatedReply(finishReason),
+                tokens: null,
+                status: response.status,
+                statusText: response.statusText,
+                headers: response.headers,
+            };
+            if (config.enableMinTokenRetry && isNaturalStop(candidate.finishReason, config, extractStopMatch(parsed))) {
+                log(`回复因停止序列结束（${candidate.finishReason}），跳过Token阈值检查`);
+            } else if (config.enableMinTokenRetry) {
+                const tokens = await getTokenCountFor(content);
+                if (tokens < Number(config.minTokenThreshold || 0)) {
+                    log(`检测到Token过少: ${tokens} < ${config.minTokenThreshold}`);
+                    return { failure: { kind: 'lowToken', status: response.status, tokens, threshold: config.minTokenThreshold, usage, candidate: { ...candidate, tokens } } };
+                }
+            }
+
+            // 内容校验器：拒答、截断、复读等
+            const validator = runValidators({ content, raw: text, finishReason: candidate.finishReason }, config);
+            if (validator) {
+                return { failure: { ...createValidatorFailure(validator), status: response.status, usage, candidate } };
+            }
+
+            return { response };
+        } catch (error) {
+            // 用户中断：立即抛出，不再重试，也不弹窗
+            if (abortSignal?.aborted) {
+                throw error;
+            }
+            // 看门狗超时：按可重试的失败处理
+            if (watchdog.fired) {
+                const timeoutError = error?.name === 'TimeoutError' ? error : new Error(WATCHDOG_LABELS[watchdog.fired]);
+                log(`请求超时: ${timeoutError.message}`, true);
+                return { failure: { kind: 'timeout', detail: timeoutError.message, error: timeoutError } };
+            }
+            if (isAbortError(error)) {
+                throw error;
+            }
+            log(`请求失败: ${error.message}`, true);
+            return { failure: { kind: error.status ? 'http' : 'network', status: error.status, error } };
+        } finally {
+            if (!keepLinked) {
+                watchdog.stop();
+                if (abortSignal) abortSignal.removeEventListener('abort', onUserAbort);
+            }
+        }
+    }
+
+    // 重试循环：返回 { ok, response, attempts } 或 { ok: false, failure, action, attempts }；用户中断时直接抛出
+    // session.record 为历史记录（可为 null），每次尝试的结果会追加到其中；未达标的回复收集到 session.candidates
+    async function runRetryLoop(url, options, config, session = {}) {
+        let lastFailure = null;
+        let prevDelay = 0;
+        const abortSignal = options && options.signal ? options.signal : undefined;
+
+        let attempt = 0;
+        while (attempt <= config.maxRetries) {
+            // 若已被中断，直接停止重试
+            if (abortSignal?.aborted) {
+                log(`请求已被中断，停止重试: ${url}`);
+                throw new DOMException('Aborted', 'AbortError');
+            }
+            log(`尝试请求 ${url} (第${attempt + 1}次)`);
+
+            const { response, failure, launched } = await runAttemptGroup(url, options, attempt, config, session);
+            attempt += launched;
+            if (!failure) {
+                return { ok: true, response, attempts: attempt };
+            }
+
+            lastFailure = failure;
+
+            // 按重试策略表决定：重试 / 立即失败 / 静默失败
+            const { action, match } = resolvePolicyAction(failure);
+            if (action !== 'retry') {
+                log(`重试策略命中 ${match}：${POLICY_ACTIONS[action]}`, true);
+                return { ok: false, failure, action, attempts: attempt };
+            }
+
+            if (attempt <= config.maxRetries) {
+                // 被丢弃的尝试已耗尽 Token 预算：不再重试
+                const budgetStop = getTokenBudgetStop(session, config);
+                if (budgetStop) {
+                    log(budgetStop, true);
+                    return { ok: false, failure: { kind: 'budget', detail: budgetStop, lastFailure: failure }, action: 'budget', attempts: attempt };
+                }
+                const { delayMs, fromServer } = resolveRetryDelay(attempt - 1, prevDelay, failure.error, config);
+                prevDelay = delayMs;
+                if (failure.error) {
+                    log(`${delayMs}ms后重试${fromServer ? '（遵循服务器 Retry-After）' : ''}`);
+                } else {
+                    log(`检测到${describeFailure(failure)}，${delayMs}ms后重试`, true);
+                }
+                const waitInfo = {
+                    nextAttempt: attempt + 1,
+                    maxAttempts: config.maxRetries + 1,
+                    delayMs,
+                    fromServer,
+                    reason: describeFailure(failure),
+                    canAccept: !!session.candidates?.length,
+                };
+                if (session.progress) {
+                    session.progress.waiting(waitInfo);
+                } else {
+                    showRetryToast(waitInfo.nextAttempt, waitInfo.maxAttempts, delayMs, fromServer, waitInfo.reason);
+                }
+                emitRetryEvent('retry', {
+                    ...getEventContext(session, url),
+                    nextAttempt: attempt + 1,
+                    maxAttempts: config.maxRetries + 1,
+                    delayMs,
+                    fromServer,
+                    failure: summarizeFailure(failure),
+                });
+                await waitBeforeRetry(delayMs, abortSignal, session);
+                // 用户在进度框中选择接受当前回复
+                if (session.acceptRequested) {
+                    return { ok: false, failure, action: 'accept', attempts: attempt };
+                }
+            }
+        }
+
+        return { ok: false, failure: lastFailure, action: 'retry', attempts: attempt };
+    }
+
+    // 被截断的结束原因（OpenAI/文本补全 length、Claude max_tokens、Gemini MAX_TOKENS）
+    function isTruncatedReply(finishReason) {
+        const reason = String(finishReason || '').toLowerCase();
+        return reason === 'length' || reason === 'max_tokens';
+    }
+
+    // 把已生成的部分接到请求末尾：已有的 assistant 预填充与部分回复合并为一条
+    function appendPartialMessage(messages, role, partial, makeMessage) {
+        const list = messages.slice();
+        const last = list[list.length - 1];
+        if (last && last.role === role && typeof last.content === 'string') {
+            list[list.length - 1] = { ...last, content: last.content + partial };
+        } else if (last && last.role === role && Array.isArray(last.parts)) {
+            list[list.length - 1] = { ...last, parts: [...last.parts, { text: partial }] };
+        } else {
+            list.push(makeMessage(partial));
+        }
+        return list;
+    }
+
+    // 续写请求的格式：按请求体结构（及酒馆的 chat_completion_source）识别，首个匹配生效
+    const CONTINUATION_FORMATS = [
+        {
+            id: 'text',
+            label: '文本补全：追加到 prompt',
+            matches: (body) => typeof body.prompt === 'string',
+            build: (body, partial) => ({ ...body, prompt: body.prompt + partial }),
+        },
+        {
+            id: 'claude',
+            label: 'Claude：assistant 预填充',
+            matches: (body, url) => Array.isArray(body.messages)
+                && (body.chat_completion_source === 'claude' || 'anthropic_version' in body || /\/v1\/messages\b/.test(url)),
+            // Claude 不接受以空白结尾的预填充
+            build: (body, partial) => ({
+                ...body,
+                messages: appendPartialMessage(body.messages, 'assistant', partial.trimEnd(), text => ({ role: 'assistant', content: text })),
+            }),
+        },
+        {
+            id: 'gemini',
+            label: 'Gemini：model 轮次 + 续写提示',
+            matches: (body) => Array.isArray(body.contents),
+            build: (body, partial, config) => {
+                const contents = appendPartialMessage(body.contents, 'model', partial, text => ({ role: 'model', parts: [{ text }] }));
+                if (config.continuationPrompt) contents.push({ role: 'user', parts: [{ text: config.continuationPrompt }] });
+                return { ...body, contents };
+            },
+        },
+        {
+            id: 'chat',
+            label: '对话补全：assistant 消息 + 续写提示',
+            matches: (body) => Array.isArray(body.messages),
+            build: (body, partial, config) => {
+                const messages = appendPartialMessage(body.messages, 'assistant', partial, text => ({ role: 'assistant', content: text }));
+                if (config.continuationPrompt) messages.push({ role: 'system', content: config.continuationPrompt });
+                return { ...body, messages };
+            },
+        },
+    ];
+
+    // 把拼接后的正文写回非流式响应 JSON；无法识别的结构返回 false
+    function setResponseContent(obj, text, finishReason) {
+        if (!obj || typeof obj !== 'object') return false;
+        const choice = Array.isArray(obj.choices) ? obj.choices[0] : null;
+        if (choice && (choice.message || typeof choice.text === 'string')) {
+            if (choice.message) choice.message.content = text;
+            else choice.text = text;
+            choice.finish_reason = finishReason;
+            return true;
+        }
+        if (Array.isArray(obj.content) && obj.content.some(b => b?.type === 'text')) {
+            // 保留 thinking 等非文本块，文本合并为一块
+            obj.content = [...obj.content.filter(b => b?.type !== 'text'), { type: 'text', text }];
+            obj.stop_reason = finishReason;
+            return true;
+        }
+        const candidate = Array.isArray(obj.candidates) ? obj.candidates[0] : null;
+        if (candidate?.content && Array.isArray(candidate.content.parts)) {
+            candidate.content.parts = [...candidate.content.parts.filter(p => p?.thought), { text }];
+            candidate.finishReason = finishReason;
+            return true;
+        }
+        const result = Array.isArray(obj.results) ? obj.results[0] : null;
+        if (result && typeof result.text === 'string') {
+            result.text = text;
+            result.finish_reason = finishReason;
+            return true;
+        }
+        return false;
+    }
+
+    // 拼接后的非流式响应：用量字段改为各段之和；有任一段缺少用量时删除该字段，避免只反映首段
+    function sumResponseUsage(obj, rawParts) {
+        const parsed = rawParts.map(raw => {
+            try {
+                return JSON.parse(raw);
+            } catch {
+                return null;
+            }
+        });
+        for (const key of ['usage', 'usageMetadata']) {
+            if (!obj[key] || typeof obj[key] !== 'object') continue;
+            const sources = parsed.map(p => p?.[key]);
+            if (sources.some(u => !u || typeof u !== 'object')) {
+                delete obj[key];
+                continue;
+            }
+            const sum = (target, values) => {
+                for (const [name, value] of Object.entries(target)) {
+                    if (typeof value === 'number') {
+                        target[name] = values.reduce((total, v) => total + (Number(v?.[name]) || 0), 0);
+                    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+                        sum(value, values.map(v => v?.[name]));
+                    }
+                }
+            };
+            sum(obj[key], sources);
+        }
+    }
+
+    // 拼接多段 SSE：首段去掉结束事件，中间段只保留带正文的事件，末段保留正文与结束事件
+    function stitchEventStreams(texts) {
+        const out = [];
+        texts.forEach((text, index) => {
+            const parser = createSSEParser();
+            const isFirst = index === 0;
+            const isLast = index === texts.length - 1;
+            for (const evt of [...parser.push(text), ...parser.flush()]) {
+                const delta = extractStreamEventContent(evt.data);
+                const terminal = delta.done || (!!delta.finishReason && !delta.text);
+                if (terminal ? !isLast : (!isFirst && !delta.text)) continue;
+                const name = evt.event && evt.event !== 'message' ? `event: ${evt.event}\n` : '';
+                out.push(`${name}${evt.data.split('\n').map(line => `data: ${line}`).join('\n')}\n\n`);
+            }
+        });
+        return out.join('');
+    }
+
+    // 读取续写请求的结果：{ raw, content, finishReason, dropped, error, usage }，格式与首段不一致时返回 null
+    // 逐块读取正文，每收到一块调用 onChunk，供看门狗监测分片间隔
+    async function readContinuationPart(response, url, streaming, onChunk = null) {
+        let raw = '';
+        if (response.body) {
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                onChunk?.();
+                raw += decoder.decode(value, { stream: true });
+            }
+            raw += decoder.decode();
+        }
+        if (streaming) {
+            if (!isEventStreamResponse(response)) return null;
+            const parser = createSSEParser();
+            const part = { raw, content: '', finishReason: null, dropped: false, error: null, usage: null };
+            let sawDone = false;
+            for (const evt of [...parser.push(raw), ...parser.flush()]) {
+                const delta = extractStreamEventContent(evt.data);
+                part.content += delta.text;
+                if (delta.finishReason) part.finishReason = delta.finishReason;
+                if (delta.error && !part.error) part.error = delta.error;
+                if (delta.usage) part.usage = { ...part.usage, ...delta.usage };
+                if (delta.done) sawDone = true;
+            }
+            part.dropped = !part.finishReason && !sawDone;
+            return part;
+        }
+        let parsed;
+        try {
+            parsed = JSON.parse(raw);
+        } catch {
+            return null;
+        }
+        return {
+            raw,
+            content: extractResponseContent(raw, url) ?? '',
+            finishReason: extractFinishReason(parsed),
+            dropped: false,
+            error: detectErrorEnvelope(parsed),
+            usage: extractUsage(parsed),
+        };
+    }
+
+    // 发起一轮续写请求并读取结果，与普通尝试一样受看门狗的首字节、分片间隔与单次超时约束
+    async function fetchContinuationPart(url, options, requestBody, config, fetchImpl, streaming) {
+        const abortSignal = options && options.signal ? options.signal : undefined;
+        const controller = new AbortController();
+        const watchdog = createAttemptWatchdog(controller, config);
+        const onUserAbort = () => controller.abort(abortSignal.reason);
+        if (abortSignal) {
+            if (abortSignal.aborted) {
+                controller.abort(abortSignal.reason);
+            } else {
+                abortSignal.addEventListener('abort', onUserAbort, { once: true });
+            }
+        }
+        try {
+            watchdog.start();
+            const response = await fetchImpl(url, { ...options, body: requestBody, signal: controller.signal });
+            watchdog.headersReceived(streaming && isEventStreamResponse(response));
+            if (!response.ok) return { response, part: null };
+            return { response, part: await readContinuationPart(response, url, streaming, () => watchdog.chunk()) };
+        } finally {
+            watchdog.stop();
+            if (abortSignal) abortSignal.removeEventListener('abort', onUserAbort);
+        }
+    }
+
+    // 截断续写：把已生成的部分作为预填充或续写提示发起后续请求，拼接为一个响应交给酒馆
+    // 最多续写 maxContinuations 轮；不支持的请求格式、续写失败或拼接后仍未达标时返回 null，由外层照常重试
+    async function continueTruncatedReply(url, options, candidate, config, session) {
+        const requestUrl = getRequestUrl(url);
+        const body = typeof options?.body === 'string' ? getRequestContext(null, options).body : null;
+        const format = body && typeof body === 'object' && !Array.isArray(body)
+            ? CONTINUATION_FORMATS.find(f => f.matches(body, requestUrl))
+            : null;
+        if (!format) {
+            log('回复被截断，但请求格式不支持续写，改为重新请求', true);
+            return null;
+        }
+        const streaming = !!candidate.streaming;
+        const decode = (data) => typeof data === 'string' ? data : new TextDecoder().decode(data);
+        const first = decode(candidate.body);
+        let template = null;
+        if (!streaming) {
+            try {
+                template = JSON.parse(first);
+            } catch {}
+            if (!setResponseContent(structuredClone(template), '', null)) {
+                log('回复被截断，但无法识别响应结构，改为重新请求', true);
+                return null;
+            }
+        }
+
+        const fetchImpl = session.fetchImpl || originalFetch;
+        const maxRounds = Math.max(1, parseInt(config.maxContinuations) || 1);
+        const parts = [first];
+        // 已完成的续写轮次：放弃拼接时计入被丢弃的 Token
+        const spent = [];
+        const discard = async (message) => {
+            log(message, true);
+            try {
+                for (const { requestBody, part } of spent) {
+                    const usage = part.usage || {};
+                    const prompt = usage.prompt ?? await getTokenCountFor(getPromptText(requestBody));
+                    const completion = usage.completion ?? await getTokenCountFor(part.content);
+                    chargeWastedTokens(session, prompt, completion);
+                }
+            } catch (e) {
+                log(`统计浪费的Token失败: ${e.message}`, true);
+            }
+            return null;
+        };
+        let text = candidate.content;
+        let finishReason = candidate.finishReason;
+        let truncated = true;
+        let rounds = 0;
+        while (truncated && rounds < maxRounds) {
+            const budgetStop = getTokenBudgetStop(session, config);
+            if (budgetStop) {
+                return discard(`${budgetStop}，停止续写`);
+            }
+            rounds++;
+            log(`回复被截断（${finishReason || '连接中断'}），按「${format.label}」发起第${rounds}轮续写`);
+            const requestBody = format.build(body, text, config);
+            let response;
+            let part;
+            try {
+                ({ response, part } = await fetchContinuationPart(url, options, JSON.stringify(requestBody), config, fetchImpl, streaming));
+            } catch (error) {
+                if (options?.signal?.aborted) throw error;
+                return discard(`续写请求失败: ${error.message}`);
+            }
+            if (part) spent.push({ requestBody, part });
+            if (!part || part.error || !part.content.trim()) {
+                return discard(`续写未获得有效内容${part?.error ? `：${part.error.message}` : response.ok ? '' : `（HTTP ${response.status}）`}，改为重新请求`);
+            }
+            parts.push(part.raw);
+            text += part.content;
+            finishReason = part.finishReason;
+            truncated = isTruncatedReply(finishReason) || part.dropped;
+        }
+
+        // 拼接后的回复同样要通过校验器；仍被截断时还需达到 Token 阈值
+        const validator = runValidators({ content: text, raw: null, finishReason }, config);
+        if (validator) {
+            return discard(`续写后的回复未通过校验器「${validator.label}」，改为重新请求`);
+        }
+        if (truncated && config.enableMinTokenRetry) {
+            const threshold = Number(resolveTokenThreshold(config, options).minTokenThreshold || 0);
+            const tokens = await getTokenCountFor(text);
+            if (tokens < threshold) {
+                return discard(`续写${rounds}轮后仍被截断且Token过少（${tokens} < ${threshold}），改为重新请求`);
+            }
+        }
+
+        session.continuations = (session.continuations || 0) + rounds;
+        log(`续写${rounds}轮后拼接完成（${text.length} 字符）`);
+        let stitched;
+        if (streaming) {
+            stitched = stitchEventStreams(parts);
+        } else {
+            setResponseContent(template, text, finishReason || 'stop');
+            sumResponseUsage(template, parts);
+            stitched = JSON.stringify(template);
+        }
+        return new Response(stitched, { status: candidate.status, statusText: candidate.statusText, headers: candidate.headers });
+    }
+
+    // 执行一次尝试并写入历史；未达标但非空的回复放入候选
+    async function runAttempt(url, options, attempt, config, session) {
+        const record = session.record || null;
+        const attemptOptions = mutateRequestOptions(options, attempt, config);
+        const attemptStartedAt = Date.now();
+        session.progress?.attempt(attempt + 1, config.maxRetries + 1);
+        const attemptContext = {
+            ...getEventContext(session, url),
+            attempt: attempt + 1,
+            maxAttempts: config.maxRetries + 1,
+            startedAt: attemptStartedAt,
+        };
+        // 流式响应提交前已收到的正文与用量，超时、上游错误或被中止时据此统计 Token
+        const received = { content: '', usage: null };
+        let result;
+        try {
+            result = await performAttempt(url, attemptOptions, config, session.fetchImpl, received);
+            // 被截断的回复：先尝试续写并拼接，成功则本次尝试视为成功；不支持或续写失败时照常重试
+            const failed = result.failure;
+            if (failed?.candidate?.truncated && config.enableContinuation && !session.dryRun
+                && (failed.kind === 'lowToken' || failed.validator === 'finishReason')
+                && resolvePolicyAction(failed).action === 'retry') {
+                const continued = await continueTruncatedReply(url, attemptOptions, failed.candidate, config, session);
+                if (continued) {
+                    result = { response: continued };
+                }
+            }
+        } catch (error) {
+            recordAttempt(record, url, attemptStartedAt, null, { kind: 'aborted', error });
+            emitRetryEvent('attempt', { ...attemptContext, durationMs: Date.now() - attemptStartedAt, ok: false, aborted: true });
+            if (!session.dryRun) {
+                await recordWastedTokens(session, attemptOptions, { kind: 'aborted' }, received);
+            }
+            throw error;
+        }
+        const { response, failure } = result;
+        recordAttempt(record, url, attemptStartedAt, response, failure);
+        if (failure && !session.dryRun) {
+            rememberFailure(url, failure);
+            await recordWastedTokens(session, attemptOptions, failure, received);
+        }
+        emitRetryEvent('attempt', {
+            ...attemptContext,
+            durationMs: Date.now() - attemptStartedAt,
+            ok: !failure,
+            aborted: false,
+            status: response?.status ?? failure?.status ?? null,
+            failure: summarizeFailure(failure),
+        });
+        if (failure?.candidate && Array.isArray(session.candidates)) {
+            session.candidates.push({ ...failure.candidate, failure, attempt: record ? record.attempts.length : attempt + 1 });
+        }
+        return { ...result, received };
+    }
+
+    // 执行一组尝试，返回 { response?, failure?, launched 实际发起的次数 }
+    // 未启用对冲时只发起一次；启用后若在 hedgeDelay 内没有有效响应，则并行追加尝试（受 maxHedges 与剩余次数限制），
+    // 首个有效响应胜出，其余尝试被中止；全部失败时交回外层按退避策略等待
+    function runAttemptGroup(url, options, firstAttempt, config, session) {
+        const budget = config.maxRetries + 1 - firstAttempt;
+        const maxConcurrent = config.enableHedging ? 1 + Math.max(0, parseInt(config.maxHedges) || 0) : 1;
+        if (maxConcurrent === 1 || budget <= 1) {
+            return runAttempt(url, options, firstAttempt, config, session).then(result => ({ ...result, launched: 1 }));
+        }
+
+        const userSignal = options && options.signal ? options.signal : undefined;
+        const hedgeDelay = Math.max(0, parseInt(config.hedgeDelay) || 0);
+
+        return new Promise((resolve, reject) => {
+            const running = new Map();
+            let launched = 0;
+            let settled = false;
+            let timer = null;
+
+            const finish = (callback, value) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                userSignal?.removeEventListener('abort', onUserAbort);
+                for (const controller of running.values()) {
+                    controller.abort(new DOMException('对冲请求已被取代', 'AbortError'));
+                }
+                running.clear();
+                callback(value);
+            };
+            const onUserAbort = () => finish(reject, new DOMException('Aborted', 'AbortError'));
+
+            const launch = () => {
+                if (settled) return;
+                const attempt = firstAttempt + launched++;
+                const controller = new AbortController();
+                running.set(attempt, controller);
+                if (launched > 1) {
+                    log(`${hedgeDelay}ms 内无有效响应，并行发起对冲请求（第${attempt + 1}次）`, true);
+                    showNotification(`暂无有效响应，已并行发起第 ${attempt + 1} 次尝试`, 'info');
+                }
+
+                runAttempt(url, { ...options, signal: controller.signal }, attempt, config, session).then(({ response, failure, received }) => {
+                    if (settled) {
+                        // 已有其他尝试胜出：丢弃迟到的结果，已开始透传的输出同样计入被丢弃的 Token
+                        controller.abort();
+                        if (response && !session.dryRun) recordWastedTokens(session, options, { kind: 'aborted' }, received);
+                        return;
+                    }
+                    running.delete(attempt);
+                    if (!failure) {
+                        // 胜出的响应可能仍在透传，需继续响应用户的中断
+                        userSignal?.addEventListener('abort', () => controller.abort(userSignal.reason), { once: true });
+                        if (launched > 1) log(`第${attempt + 1}次尝试率先获得有效响应，中止其余尝试`);
+                        finish(resolve, { response, launched });
+                        return;
+                    }
+                    // 策略判定不再重试，或已没有进行中的尝试：结束本组
+                    if (resolvePolicyAction(failure).action !== 'retry' || running.size === 0) {
+                        finish(resolve, { failure, launched });
+                        return;
+                    }
+                    // 其余尝试仍在进行：空出的并发名额按 hedgeDelay 补发，避免剩余次数闲置
+                    if (!timer) armNext();
+                }, (error) => {
+                    running.delete(attempt);
+                    finish(reject, error);
+                });
+
+                clearTimeout(timer);
+                timer = null;
+                armNext();
+            };
+            const armNext = () => {
+                if (launched < budget && running.size < maxConcurrent) {
+                    timer = setTimeout(launch, hedgeDelay);
+                }
+            };
+
+            if (userSignal) {
+                if (userSignal.aborted) {
+                    reject(new DOMException('Aborted', 'AbortError'));
+                    return;
+                }
+                userSignal.addEventListener('abort', onUserAbort, { once: true });
+            }
+            launch();
+        });
+    }
+
+    // 统计候选回复通过的已启用校验器数量
+    function scoreCandidate(candidate, config) {
+        let passed = 0;
+        for (const validator of CONTENT_VALIDATORS) {
+            if (!isValidatorEnabled(validator, config)) continue;
+            try {
+                if (!validator.validate({ content: candidate.content, raw: null, finishReason: candidate.finishReason }, config)) {
+                    passed++;
+                }
+            } catch {}
+        }
+        return passed;
+    }
+
+    // 从未达标的回复中挑选最佳的一次：默认取正文最长，score 模式优先比较通过的校验器数量
+    function pickBestCandidate(candidates, config) {
+        const usable = (candidates || []).filter(c => !isEmptyContent(c.content, config));
+        if (!usable.length) return null;
+        const score = (c) => (config.bestOfMetric === 'score' ? scoreCandidate(c, config) : 0);
+        return usable.reduce((best, c) => {
+            const diff = score(c) - score(best);
+            if (diff > 0 || (diff === 0 && String(c.content).length > String(best.content).length)) return c;
+            return best;
+        });
+    }
+
+    // 按尝试次数渐进改写 JSON 请求体（attempt 从 0 开始，首次不改写）
+    // 始终返回新的 options，原始请求保持不变，下一次生成仍从原始请求开始
+    function mutateRequestOptions(options, attempt, config) {
+        if (!config.enableBodyMutation || attempt < 1) return options;
+        let body;
+        try {
+            body = JSON.parse(options?.body);
+        } catch {
+            return options;
+        }
+        if (!body || typeof body !== 'object' || Array.isArray(body)) return options;
+
+        const changes = [];
+
+        // 种子：递增或随机
+        const seedKeys = ['seed', 'sampler_seed'].filter(k => typeof body[k] === 'number');
+        if (config.mutateSeed === 'increment') {
+            for (const k of seedKeys) {
+                if (body[k] >= 0) {
+                    body[k] += attempt;
+                    changes.push(`${k}=${body[k]}`);
+                }
+            }
+        } else if (config.mutateSeed === 'random') {
+            for (const k of (seedKeys.length ? seedKeys : ['seed'])) {
+                body[k] = Math.floor(Math.random() * 2147483647);
+                changes.push(`${k}=${body[k]}`);
+            }
+        }
+
+        // 温度：每次重试提高一个步长，不超过上限
+        const step = Number(config.temperatureStep) || 0;
+        if (step > 0 && typeof body.temperature === 'number') {
+            const max = Number(config.temperatureMax) || 2;
+            body.temperature = Math.min(max, Math.round((body.temperature + step * attempt) * 100) / 100);
+            changes.push(`temperature=${body.temperature}`);
+        }
+
+        // 移除指定字段
+        for (const field of (Array.isArray(config.stripFields) ? config.stripFields : [])) {
+            if (field && Object.prototype.hasOwnProperty.call(body, field)) {
+                delete body[field];
+                changes.push(`-${field}`);
+            }
+        }
+
+        // 追加提示消息
+        const nudge = String(config.nudgeMessage || '').trim();
+        if (nudge && Array.isArray(body.messages)) {
+            body.messages = [...body.messages, { role: config.nudgeRole || 'system', content: nudge }];
+            changes.push('+nudge');
+        }
+
+        if (!changes.length) return options;
+        log(`第${attempt + 1}次尝试改写请求体: ${changes.join(', ')}`);
+        return { ...options, body: JSON.stringify(body) };
+    }
+
+    // 备用在界面与日志中的显示名
+    function getFallbackLabel(fallback) {
+        if (!fallback) return '';
+        if (fallback.name) return String(fallback.name);
+        const model = fallback.patch && typeof fallback.patch === 'object' ? fallback.patch.model : '';
+        return String(fallback.url || model || '备用');
+    }
+
+    // 按备用项改写请求：替换 URL，并把 patch 中的字段合并进 JSON 请求体；无法应用时返回 null
+    function applyFallback(url, options, fallback) {
+        const patch = fallback.patch && typeof fallback.patch === 'object' ? fallback.patch : {};
+        const nextUrl = String(fallback.url || '').trim() || url;
+        const nextOptions = { ...options };
+        if (Object.keys(patch).length) {
+            let body;
+            try {
+                body = JSON.parse(options?.body);
+            } catch {
+                body = null;
+            }
+            if (!body || typeof body !== 'object') {
+                log(`请求体不是 JSON，跳过备用: ${getFallbackLabel(fallback)}`, true);
+                return null;
+            }
+            nextOptions.body = JSON.stringify({ ...body, ...patch });
+        }
+        if (nextUrl === url && nextOptions.body === options?.body) {
+            log(`备用未改写 URL 或请求体，跳过: ${getFallbackLabel(fallback)}`, true);
+            return null;
+        }
+        return { url: nextUrl, options: nextOptions };
+    }
+
+    function createValidatorFailure(validator) {
+        log(`校验器「${validator.label}」未通过：${validator.reason}`, true);
+        return { kind: 'validator', validator: validator.id, label: validator.label, detail: validator.reason };
+    }
+
+    // 失败原因的简短描述，用于日志与提示
+    function describeFailure(failure) {
+        if (!failure) return '';
+        if (failure.kind === 'http') return `HTTP ${failure.status}`;
+        if (failure.kind === 'validator') return `${failure.label}：${failure.detail}`;
+        if (failure.kind === 'timeout') return String(failure.detail || POLICY_CLASSES.timeout);
+        if (failure.kind === 'upstream') return `上游错误：${failure.detail}`;
+        if (failure.kind === 'budget') return String(failure.detail);
+        return POLICY_CLASSES[failure.kind] || String(failure.kind);
+    }
+
+    // 供事件与外部调用方使用的失败摘要
+    function summarizeFailure(failure) {
+        if (!failure) return null;
+        return {
+            kind: failure.kind,
+            status: failure.status ?? null,
+            detail: describeFailure(failure),
+            tokens: failure.tokens ?? null,
+            validator: failure.validator ?? null,
+            message: failure.error ? String(failure.error.message || failure.error) : '',
+        };
+    }
+
+    // 诊断：粘贴的样例是否为 SSE 文本
+    function looksLikeEventStream(text) {
+        return /^\s*(data|event):/m.test(String(text || '')) && !/^\s*[{[]/.test(String(text || ''));
+    }
+
+    // 从 SSE 样例中拼出正文
+    function extractEventStreamSample(text) {
+        const parser = createSSEParser();
+        let content = '';
+        for (const evt of [...parser.push(String(text)), ...parser.flush()]) {
+            content += extractStreamEventContent(evt.data).text;
+        }
+        return content;
+    }
+
+    function describeTokenThreshold(config) {
+        if (!config.enableMinTokenRetry) return '未启用';
+        if (config.thresholdMode !== 'adaptive') return String(config.minTokenThreshold);
+        return `自适应（max_tokens 的 ${config.adaptiveThresholdPercent}%，请求未指定时为 ${config.minTokenThreshold}${config.skipThresholdOnStop ? '；停止序列结束时跳过' : ''}）`;
+    }
+
+    // 诊断：URL 命中哪条规则，以及粘贴的样例响应在当前设置下是否会触发重试
+    // 返回逐行说明文字
+    async function diagnoseRequest(url, sample = '') {
+        const lines = [];
+        const urlText = String(url || '').trim();
+        if (!isRetryEnabled()) {
+            lines.push('⚠ 插件当前未启用，实际请求不会被拦截。');
+        }
+        const scopes = resolveScopeOverrides();
+        if (scopes.scope !== 'global') {
+            lines.push(`当前生效${SCOPE_LABELS[scopes.scope]}覆盖：${describeScopeOverrides(scopes.overrides)}`);
+        }
+        const rules = settings.interceptRules || [];
+        const rule = urlText ? findMatchingRule(urlText) : null;
+        if (urlText) {
+            lines.push(`URL：${urlText}`);
+            if (!rules.length) {
+                lines.push('未配置任何拦截规则，不会拦截。');
+            }
+            let excluded = false;
+            rules.forEach((r, idx) => {
+                const matched = matchesRule(urlText, r);
+                if (matched && r.exclude) excluded = true;
+                const state = r.enabled === false ? '已停用' : (matched ? (r.exclude ? '命中（排除规则）' : '命中') : '未命中');
+                const filters = r.methods?.length || r.conditions?.length ? '（未检查请求方法与请求体条件）' : '';
+                const problems = getRuleProblems(r);
+                lines.push(`  规则 ${idx + 1}「${getRuleLabel(r)}」：${state}${filters}${problems.length ? ` ⚠ ${problems.join('；')}` : ''}`);
+            });
+            if (shouldIntercept(urlText)) {
+                lines.push(`→ 将由规则「${getRuleLabel(rule)}」拦截`);
+            } else {
+                lines.push(excluded ? '→ 命中排除规则，不会拦截' : '→ 不会拦截，请求原样透传');
+            }
+        }
+        const config = rule ? resolveRuleConfig(rule) : settings;
+        lines.push(`生效配置：最大重试 ${config.maxRetries} 次，Token 阈值 ${describeTokenThreshold(config)}，检查纯空白 ${config.checkWhitespace ? '是' : '否'}`);
+
+        if (!String(sample || '').trim()) {
+            return lines;
+        }
+        const isStream = looksLikeEventStream(sample);
+        const content = isStream ? extractEventStreamSample(sample) : (extractResponseContent(sample, urlText) ?? sample);
+        const tokens = await getTokenCountFor(content);
+        lines.push(`样例格式：${isStream ? 'SSE 流式' : (extractResponseContent(sample, urlText) != null ? 'JSON' : '无法识别结构，按原始文本判断')}`);
+        lines.push(`提取的正文（${content.length} 字符）：${content.length > 200 ? `${content.slice(0, 200)}…` : (content || '（空）')}`);
+        lines.push(`Token 数：${tokens}${getTokenCountAsyncFn ? '' : '（分词器不可用，按文字种类估算）'}`);
+
+        // 用与真实请求相同的判定流程检查样例
+        const mockFetch = async () => new Response(sample, {
+            status: 200,
+            headers: { 'Content-Type': isStream ? 'text/event-stream' : 'application/json' },
+        });
+        const { response, failure } = await performAttempt(urlText, {}, config, mockFetch);
+        if (response) {
+            try { await response.body?.cancel(); } catch {}
+            lines.push('判定：通过，不会重试');
+        } else {
+            const { action, match } = resolvePolicyAction(failure);
+            lines.push(`判定：${describeFailure(failure)} → 策略 ${match}：${POLICY_ACTIONS[action]}`);
+        }
+        return lines;
+    }
+
+    // 诊断：用内置的模拟 fetch 走一遍完整重试循环，前 emptyCount 次返回空回复，之后返回正常回复
+    // 等待时间封顶 1 秒，不写入历史，不触发对外事件
+    async function simulateRetryLoop(url, emptyCount = 2) {
+        const urlText = String(url || '').trim();
+        const rule = urlText ? findMatchingRule(urlText) : null;
+        const base = rule ? resolveRuleConfig(rule) : settings;
+        const config = {
+            ...base,
+            baseDelay: Math.min(Number(base.baseDelay) || 0, 1000),
+            maxDelay: Math.min(Number(base.maxDelay) || 1000, 1000),
+            maxRetryAfter: Math.min(Number(base.maxRetryAfter) || 1000, 1000),
+            enableHedging: false,
+        };
+        const threshold = config.enableMinTokenRetry ? Number(config.minTokenThreshold || 0) : 0;
+        // 逐段编号，避免模拟回复本身被重复检测判为复读
+        const parts = Array.from({ length: Math.max(4, threshold) }, (_, i) => `Part ${i + 1}.`);
+        const goodText = `Simulated reply from the retry diagnostics. ${parts.join(' ')}`;
+        // 模拟的正常回复仍未通过的校验器（如屏蔽词命中模拟文本）在本次模拟中跳过，并在结果中注明
+        const skipped = [];
+        let rejected;
+        while ((rejected = runValidators({ content: goodText, raw: null, finishReason: 'stop' }, config))) {
+            config.validators = { ...config.validators, [rejected.id]: false };
+            skipped.push(rejected.label);
+        }
+        let calls = 0;
+        const mockFetch = async () => {
+            calls++;
+            const content = calls > emptyCount ? goodText : '';
+            return new Response(JSON.stringify({ choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }] }), {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+            });
+        };
+        const record = { attempts: [] };
+        const session = { id: null, rule, record, candidates: [], fetchImpl: mockFetch, dryRun: true };
+        const lines = [`模拟：前 ${emptyCount} 次返回空回复，之后返回正常回复（最多 ${config.maxRetries + 1} 次尝试）`];
+        if (skipped.length) {
+            lines.push(`  模拟回复未通过「${skipped.join('」「')}」，本次模拟跳过这些校验器`);
+        }
+        const outcome = await runRetryLoop(urlText || 'dry-run', {}, config, session);
+        record.attempts.forEach((a, idx) => {
+            lines.push(`  第 ${idx + 1} 次：${a.outcome === 'success' ? '成功' : a.detail}（${a.endedAt - a.startedAt}ms）`);
+        });
+        lines.push(outcome.ok
+            ? `→ 第 ${outcome.attempts} 次尝试成功`
+            : `→ ${outcome.action === 'retry' ? '重试用尽' : POLICY_ACTIONS[outcome.action]}：${describeFailure(outcome.failure)}`);
+        return lines;
+    }
+
+    // 记录最近一次失败的原始内容：HTTP 错误为响应体，未达标回复为其原文
+    function rememberFailure(url, failure) {
+        let body = failure.error?.body ?? failure.candidate?.body ?? '';
+        if (body instanceof Uint8Array) {
+            body = new TextDecoder().decode(body);
+        }
+        lastFailureInfo = {
+            at: Date.now(),
+            url: getRequestUrl(url),
+            detail: describeFailure(failure),
+            status: failure.status ?? null,
+            body: String(body || failure.error?.message || ''),
+        };
+    }
+
+    // 生命周期事件的公共上下文
+    function getEventContext(session, url) {
+        return {
+            requestId: session.id ?? null,
+            url: getRequestUrl(url),
+            rule: session.rule ? getRuleLabel(session.rule) : '',
+            dryRun: !!session.dryRun,
+        };
+    }
+
+    // 通知订阅者，并同步到酒馆的 eventSource；订阅者抛错不影响重试流程
+    function emitRetryEvent(name, detail) {
+        // 诊断模拟不对外广播
+        if (detail?.dryRun) return;
+        for (const handler of retryEventHandlers.get(name) || []) {
+            try {
+                handler(detail);
+            } catch (e) {
+                log(`事件 ${name} 的订阅者执行出错: ${e.message}`, true);
+            }
+        }
+        try {
+            if (eventSource && typeof eventSource.emit === 'function') {
+                Promise.resolve(eventSource.emit(RETRY_EVENTS[name], detail)).catch(() => {});
+            }
+        } catch {}
+    }
+
+    // 构造最终抛出的错误：内容类失败没有原始异常，按尝试次数生成说明
+    function buildFailureError(failure, attempts) {
+        if (failure?.error) return failure.error;
+        if (!failure) return new Error('重试次数已达上限');
+        if (failure.kind === 'validator') {
+            return new Error(`内容校验未通过（${describeFailure(failure)}），已连续 ${attempts} 次尝试无有效响应。`);
+        }
+        if (failure.kind === 'upstream') {
+            return new Error(`上游返回错误，已连续 ${attempts} 次尝试无有效响应。\n${failure.detail}`);
+        }
+        if (failure.kind === 'budget') {
+            const last = failure.lastFailure ? `最后一次失败：${describeFailure(failure.lastFailure)}。` : '';
+            return new Error(`${failure.detail}，已停止重试（共 ${attempts} 次尝试）。${last}可在设置中调整 Token 预算或重置今日统计。`);
+        }
+        if (failure.kind === 'lowToken') {
+            const counted = failure.tokens != null ? `（最后一次 ${failure.tokens} < ${failure.threshold}）` : '';
+            return new Error(`回复Token过少${counted}，已连续 ${attempts} 次尝试无有效响应。`);
+        }
+        if (failure.kind === 'empty') {
+            return new Error(`检测到空内容，已连续 ${attempts} 次尝试无有效响应。`);
+        }
+        return new Error(`${describeFailure(failure)}，已连续 ${attempts} 次尝试无有效响应。`);
+    }
+
+    // 使用酒馆自带弹窗显示失败原因：请求异常显示原始堆栈，内容类失败显示说明文字
+    function showFailureError(err, failure) {
+        if (failure?.error) {
+            showBuiltinError(err && (err.stack || err.message || String(err)));
+        } else {
+            showBuiltinError(err.message);
+        }
+    }
+
+    // 显示酒馆自带的错误弹窗
+    function showBuiltinError(message, title = '请求失败') {
+        if (!message) return;
+        try {
+            if (typeof callGenericPopup === 'function' && POPUP_TYPE) {
+                callGenericPopup(String(message), POPUP_TYPE.TEXT, title);
+            } else if (typeof toastr !== 'undefined') {
+                toastr.error(String(message), title);
+            } else {
+                console.error(`[${EXTENSION_NAME}]`, message);
+            }
+        } catch (e) {
+            console.error(`[${EXTENSION_NAME}] 显示错误弹窗失败:`, e);
+            try { toastr?.error(String(message), title); } catch {}
+        }
+    }
+
+    const CIRCUIT_BREAKER_STATES = {
+        closed: '正常',
+        open: '熔断中',
+        'half-open': '试探中',
+    };
+
+    // 按主机或规则取得熔断器，不存在则创建
+    function getCircuitBreaker(url, rule) {
+        let key;
+        let label;
+        if (settings.breakerScope === 'rule') {
+            key = `rule:${rule.pattern}`;
+            label = getRuleLabel(rule);
+        } else {
+            const raw = getRequestUrl(url);
+            try {
+                label = new URL(raw, window.location?.href).host || raw;
+            } catch {
+                label = raw;
+            }
+            key = `host:${label}`;
+        }
+        if (!circuitBreakers.has(key)) {
+            circuitBreakers.set(key, { key, label, state: 'closed', failures: 0, openedAt: 0, until: 0, probing: false });
+        }
+        return circuitBreakers.get(key);
+    }
+
+    // 判断是否放行：放行返回 null，拦截返回错误对象
+    function acquireCircuitBreaker(breaker) {
+        if (breaker.state === 'open' && Date.now() >= breaker.until) {
+            breaker.state = 'half-open';
+            breaker.probing = false;
+        }
+        if (breaker.state === 'half-open' && !breaker.probing) {
+            breaker.probing = true;
+            log(`熔断器「${breaker.label}」冷却结束，发送试探请求`);
+            renderCircuitBreakers();
+            return null;
+        }
+        if (breaker.state === 'closed') {
+            return null;
+        }
+        const seconds = Math.max(1, Math.ceil((breaker.until - Date.now()) / 1000));
+        const err = new Error(breaker.state === 'open'
+            ? `「${breaker.label}」已连续 ${breaker.failures} 次重试用尽，熔断中，约 ${seconds} 秒后再试探。可在设置中手动重置。`
+            : `「${breaker.label}」正在进行熔断试探，请稍后再试。`);
+        err.circuitOpen = true;
+        return err;
+    }
+
+    // 记录一次请求的最终结果：success / exhausted / failed / aborted
+    function recordCircuitBreakerResult(breaker, result, config) {
+        if (!breaker) return;
+        const probing = breaker.state === 'half-open';
+        breaker.probing = false;
+        if (result === 'aborted') {
+            // 中断不计入；试探被中断时保持半开，下一次请求继续试探
+            return;
+        }
+        if (result === 'exhausted') {
+            breaker.failures++;
+            const threshold = Math.max(1, parseInt(config.breakerThreshold) || DEFAULT_SETTINGS.breakerThreshold);
+            if (probing || breaker.failures >= threshold) {
+                const cooldown = Math.max(1000, parseInt(config.breakerCooldown) || DEFAULT_SETTINGS.breakerCooldown);
+                breaker.state = 'open';
+                breaker.openedAt = Date.now();
+                breaker.until = breaker.openedAt + cooldown;
+                log(`熔断器「${breaker.label}」打开，${cooldown}ms 内的请求将直接失败`, true);
+                showNotification(`「${breaker.label}」连续 ${breaker.failures} 次重试用尽，已熔断 ${Math.round(cooldown / 1000)} 秒`, 'warning');
+            }
+        } else {
+            // 成功或被策略判定立即失败（后端仍有响应）：关闭熔断器
+            if (breaker.state !== 'closed') {
+                log(`熔断器「${breaker.label}」试探成功，恢复正常`);
+                showNotification(`「${breaker.label}」已恢复，熔断解除`, 'success');
+            }
+            breaker.state = 'closed';
+            breaker.failures = 0;
+            breaker.until = 0;
+        }
+        renderCircuitBreakers();
+    }
+
+    // 手动重置熔断器；不传 key 时全部重置
+    function resetCircuitBreaker(key) {
+        if (key) {
+            circuitBreakers.delete(key);
+        } else {
+            circuitBreakers.clear();
+        }
+        renderCircuitBreakers();
+    }
+
+    // 渲染熔断器状态
+    function renderCircuitBreakers() {
+        try {
+            const list = $('#circuit-breaker-list');
+            if (!list.length) return;
+            list.empty();
+            if (!circuitBreakers.size) {
+                list.append($('<li class="list-group-item">').text('暂无记录'));
+                return;
+            }
+            for (const breaker of circuitBreakers.values()) {
+                let text = `${breaker.label}：${CIRCUIT_BREAKER_STATES[breaker.state]}，连续用尽 ${breaker.failures} 次`;
+                if (breaker.state === 'open') {
+                    text += `，冷却至 ${new Date(breaker.until).toLocaleTimeString()}`;
+                }
+                const li = $('<li class="list-group-item flex-container" style="display:flex; align-items:center; gap:8px;">');
+                li.append($('<span style="flex:1; word-break: break-all;">').text(text));
+                li.append($('<button class="menu_button reset-breaker" style="width:auto; white-space:nowrap;">重置</button>').attr('data-key', breaker.key));
+                list.append(li);
+            }
+        } catch {}
+    }
+
+    // 读取本地保存的重试历史
+    function loadHistory() {
+        try {
+            const arr = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY) || '[]');
+            retryHistory = Array.isArray(arr) ? arr : [];
+        } catch {
+            retryHistory = [];
+        }
+    }
+
+    function persistHistory() {
+        try {
+            localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(retryHistory));
+        } catch (e) {
+            log(`保存重试历史失败: ${e.message}`, true);
+        }
+    }
+
+    // 为一次被拦截的请求创建历史记录；未启用历史时返回 null
+    function startHistoryRecord(url, rule) {
+        if (!settings.enableHistory) return null;
+        return {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            url: getRequestUrl(url),
+            rule: getRuleLabel(rule),
+            startedAt: Date.now(),
+            endedAt: null,
+            result: 'pending',
+            fallback: null,
+            attempts: [],
+        };
+    }
+
+    // 追加一次尝试的结果
+    function recordAttempt(record, url, startedAt, response, failure) {
+        if (!record) return;
+        const error = failure?.error;
+        record.attempts.push({
+            url: getRequestUrl(url),
+            startedAt,
+            endedAt: Date.now(),
+            status: response?.status ?? failure?.status ?? null,
+            outcome: failure ? failure.kind : 'success',
+            tokens: failure?.tokens ?? null,
+            detail: failure ? describeFailure(failure) : '',
+            error: error ? String(error.message || error).slice(0, 500) : '',
+        });
+    }
+
+    // 结束记录并写入环形缓冲区
+    function finishHistoryRecord(record, result, extra = {}) {
+        if (!record || record.endedAt) return;
+        record.endedAt = Date.now();
+        record.result = result;
+        Object.assign(record, extra);
+        retryHistory.push(record);
+        const size = Math.max(1, parseInt(settings.historySize) || DEFAULT_SETTINGS.historySize);
+        if (retryHistory.length > size) {
+            retryHistory = retryHistory.slice(-size);
+        }
+        persistHistory();
+        renderHistory();
+    }
+
+    // 按规则汇总成功率与各类失败次数
+    function computeHistoryStats() {
+        const stats = new Map();
+        for (const record of retryHistory) {
+            const key = record.rule || '(未知规则)';
+            if (!stats.has(key)) {
+                stats.set(key, { rule: key, requests: 0, success: 0, attempts: 0, empty: 0, lowToken: 0, errors: 0 });
+            }
+            const s = stats.get(key);
+            s.requests++;
+            if (record.result === 'success' || record.result === 'accepted') s.success++;
+            for (const attempt of record.attempts || []) {
+                s.attempts++;
+                if (attempt.outcome === 'empty') s.empty++;
+                else if (attempt.outcome === 'lowToken') s.lowToken++;
+                else if (attempt.outcome !== 'success' && attempt.outcome !== 'aborted') s.errors++;
+            }
+        }
+        return [...stats.values()];
+    }
+
+    const HISTORY_RESULT_LABELS = {
+        success: '成功',
+        failed: '失败',
+        aborted: '已中断',
+        pending: '进行中',
+        accepted: '已接受次优',
+    };
+
+    // 导出为 CSV：每次尝试一行
+    function historyToCSV() {
+        const header = ['request_id', 'rule', 'url', 'result', 'fallback', 'request_started_at', 'request_ended_at',
+            'attempt', 'attempt_url', 'attempt_started_at', 'attempt_ended_at', 'status', 'outcome', 'tokens', 'detail', 'error'];
+        const escape = (v) => {
+            const str = v == null ? '' : String(v);
+            return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+        };
+        const iso = (t) => (t ? new Date(t).toISOString() : '');
+        const rows = [header.join(',')];
+        for (const record of retryHistory) {
+            const attempts = record.attempts?.length ? record.attempts : [null];
+            attempts.forEach((a, i) => {
+                rows.push([
+                    record.id, record.rule, record.url, record.result, record.fallback, iso(record.startedAt), iso(record.endedAt),
+                    a ? i + 1 : '', a?.url, iso(a?.startedAt), iso(a?.endedAt), a?.status, a?.outcome, a?.tokens, a?.detail, a?.error,
+                ].map(escape).join(','));
+            });
+        }
+        return rows.join('\r\n');
+    }
+
+    // 触发浏览器下载
+    function downloadFile(filename, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const href = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = href;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(href), 1000);
+    }
+
+    function getExportTimestamp() {
+        return new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    }
+
+    // 刷新设置面板中的历史统计（面板未创建时忽略）
+    function renderHistory() {
+        try {
+            const statsBody = $('#retry-history-stats tbody');
+            if (!statsBody.length) return;
+            statsBody.empty();
+            const stats = computeHistoryStats();
+            if (!stats.length) {
+                statsBody.append('<tr><td colspan="6">暂无记录</td></tr>');
+            }
+            for (const s of stats) {
+                const rate = s.requests ? `${Math.round((s.success / s.requests) * 100)}%` : '-';
+                const avg = s.requests ? (s.attempts / s.requests).toFixed(1) : '-';
+                const row = $('<tr>');
+                for (const cell of [s.rule, s.requests, rate, avg, `${s.empty} / ${s.lowToken}`, s.errors]) {
+                    row.append($('<td>').text(String(cell)));
+                }
+                statsBody.append(row);
+            }
+
+            const list = $('#retry-history-list');
+            list.empty();
+            const recent = retryHistory.slice(-10).reverse();
+            for (const record of recent) {
+                const time = new Date(record.startedAt).toLocaleTimeString();
+                const outcomes = (record.attempts || []).map(a => a.outcome === 'success' ? '✓' : (a.detail || a.outcome)).join(' → ');
+                const fallback = record.fallback ? `（备用：${record.fallback}）` : '';
+                const text = `${time} [${HISTORY_RESULT_LABELS[record.result] || record.result}] ${record.rule}${fallback}：${outcomes}`;
+                list.append($('<li class="list-group-item">').text(text));
+            }
+        } catch {}
+    }
+
+    // 本地日期，作为每日浪费统计的键
+    function getTodayKey() {
+        const now = new Date();
+        return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    }
+
+    // 读取本地保存的浪费统计；跨天后自动清零
+    function loadWasteStats() {
+        try {
+            const obj = JSON.parse(localStorage.getItem(WASTE_STORAGE_KEY) || 'null');
+            wasteStats = obj && typeof obj === 'object' && obj.rules ? obj : { date: '', rules: {} };
+        } catch {
+            wasteStats = { date: '', rules: {} };
+        }
+        ensureWasteStatsDate();
+    }
+
+    function ensureWasteStatsDate() {
+        const today = getTodayKey();
+        if (wasteStats.date !== today) {
+            wasteStats = { date: today, rules: {} };
+        }
+    }
+
+    function persistWasteStats() {
+        try {
+            localStorage.setItem(WASTE_STORAGE_KEY, JSON.stringify(wasteStats));
+        } catch (e) {
+            log(`保存Token统计失败: ${e.message}`, true);
+        }
+    }
+
+    function getDailyWasteTotal() {
+        ensureWasteStatsDate();
+        return Object.values(wasteStats.rules).reduce((sum, r) => sum + r.prompt + r.completion, 0);
+    }
+
+    function resetWasteStats() {
+        wasteStats = { date: getTodayKey(), rules: {} };
+        persistWasteStats();
+        renderWasteStats();
+    }
+
+    // 产生了回复但被丢弃的失败类别（服务端已计费）
+    const WASTED_FAILURE_KINDS = ['empty', 'lowToken', 'validator'];
+
+    // 超时、上游错误与被中止的尝试：只有实际收到输出（正文或用量）时才计入
+    const PARTIAL_FAILURE_KINDS = ['timeout', 'upstream', 'aborted'];
+
+    // 从请求体中拼出提示词文本，用于响应未返回用量时估算输入 Token
+    function getPromptText(body) {
+        if (!body || typeof body !== 'object') return '';
+        const texts = [];
+        const collect = (content) => {
+            if (typeof content === 'string') texts.push(content);
+            else if (Array.isArray(content)) content.forEach(part => collect(part?.text ?? part?.content ?? part));
+        };
+        if (Array.isArray(body.messages)) body.messages.forEach(m => collect(m?.content));
+        if (Array.isArray(body.contents)) body.contents.forEach(c => collect(c?.parts));
+        collect(body.system);
+        collect(body.systemInstruction?.parts);
+        collect(body.prompt);
+        return texts.join('\n');
+    }
+
+    // 记录一次被丢弃尝试消耗的 Token：优先使用响应中的用量，缺失时估算；输入 Token 在同一请求内只估算一次
+    // received 为流式响应提交前已收到的 { content, usage }，用于超时、上游错误与被中止的尝试
+    async function recordWastedTokens(session, options, failure, received = null) {
+        const partial = PARTIAL_FAILURE_KINDS.includes(failure.kind);
+        if (!WASTED_FAILURE_KINDS.includes(failure.kind) && !partial) return;
+        if (partial && !failure.usage && !received?.usage && !String(received?.content || '').trim()) return;
+        try {
+            const usage = failure.usage || (partial ? received?.usage : null) || {};
+            let prompt = usage.prompt;
+            if (prompt === undefined) {
+                if (!session.promptTokens) {
+                    session.promptTokens = getTokenCountFor(getPromptText(getRequestContext(null, options).body));
+                }
+                prompt = await session.promptTokens;
+            }
+            let completion = usage.completion;
+            if (completion === undefined) {
+                const content = failure.candidate?.content || (partial ? received?.content : '') || '';
+                completion = failure.tokens ?? failure.candidate?.tokens ?? (content ? await getTokenCountFor(content) : 0);
+            }
+            chargeWastedTokens(session, prompt, completion);
+        } catch (e) {
+            log(`统计浪费的Token失败: ${e.message}`, true);
+        }
+    }
+
+    // 把一次被丢弃请求的输入/输出 Token 计入本次请求与今日统计
+    function chargeWastedTokens(session, prompt, completion) {
+        prompt = Math.max(0, Math.round(Number(prompt) || 0));
+        completion = Math.max(0, Math.round(Number(completion) || 0));
+        session.wastedTokens = (session.wastedTokens || 0) + prompt + completion;
+
+        ensureWasteStatsDate();
+        const key = getRuleLabel(session.rule) || '(无规则)';
+        const entry = wasteStats.rules[key] || (wasteStats.rules[key] = { attempts: 0, prompt: 0, completion: 0 });
+        entry.attempts++;
+        entry.prompt += prompt;
+        entry.completion += completion;
+        persistWasteStats();
+        renderWasteStats();
+    }
+
+    // Token 预算是否已耗尽：返回说明文字或 null
+    function getTokenBudgetStop(session, config) {
+        if (!config.enableTokenBudget) return null;
+        const perRequest = parseInt(config.requestTokenBudget) || 0;
+        const wasted = session.wastedTokens || 0;
+        if (perRequest > 0 && wasted >= perRequest) {
+            return `本次请求被丢弃的尝试已消耗约 ${wasted} Token，达到单次请求预算 ${perRequest}`;
+        }
+        const daily = parseInt(config.dailyTokenBudget) || 0;
+        const total = getDailyWasteTotal();
+        if (daily > 0 && total >= daily) {
+            return `今日被丢弃的尝试已消耗约 ${total} Token，达到每日预算 ${daily}`;
+        }
+        return null;
+    }
+
+    function renderWasteStats() {
+        try {
+            const body = $('#token-waste-stats tbody');
+            if (!body.length) return;
+            ensureWasteStatsDate();
+            body.empty();
+            const entries = Object.entries(wasteStats.rules);
+            if (!entries.length) {
+                body.append('<tr><td colspan="5">今日暂无</td></tr>');
+            }
+            for (const [rule, entry] of entries) {
+                const row = $('<tr>');
+                for (const cell of [rule, entry.attempts, entry.prompt, entry.completion, entry.prompt + entry.completion]) {
+                    row.append($('<td>').text(String(cell)));
+                }
+                body.append(row);
+            }
+            const daily = parseInt(settings.dailyTokenBudget) || 0;
+            $('#token-waste-total').text(`今日合计：${getDailyWasteTotal()} Token${settings.enableTokenBudget && daily > 0 ? ` / 每日预算 ${daily}` : ''}`);
+        } catch {}
+    }
+
+    // 加载设置
+    function loadSettings() {
+        // 不要在这里写回 extension_settings，避免覆盖主程序稍后异步加载的持久化值
+        // 仅读取并合并到本地 settings；迁移结果在下次保存时写回
+        let persisted = null;
+        if (extension_settings && extension_settings[EXTENSION_NAME] && typeof extension_settings[EXTENSION_NAME] === 'object') {
+            persisted = extension_settings[EXTENSION_NAME];
+        } else {
+            // 酒馆设置中没有本插件的数据时，才读取早期兜底方案写入的 localStorage（不再与酒馆设置混合）
+            try {
+                const obj = JSON.parse(localStorage.getItem('sillytavern_extension_settings') || 'null');
+                if (obj && obj[EXTENSION_NAME] && typeof obj[EXTENSION_NAME] === 'object') {
+                    persisted = obj[EXTENSION_NAME];
+                    log('已从浏览器本地存储读取早期保存的设置');
+                }
+            } catch {}
+        }
+
+        const data = JSON.parse(JSON.stringify(persisted || {}));
+        const fromVersion = Number(data.settingsVersion) || 0;
+        settings = migrateSettings({ ...JSON.parse(JSON.stringify(DEFAULT_SETTINGS)), ...data }, fromVersion);
+        settings.interceptRules = normalizeRules(settings.interceptRules);
+        settings.presets = settings.presets && typeof settings.presets === 'object' && !Array.isArray(settings.presets) ? settings.presets : {};
+        for (const [name, preset] of Object.entries(settings.presets)) {
+            if (preset && typeof preset === 'object') {
+                migrateSettings(preset, fromVersion);
+            } else {
+                delete settings.presets[name];
+            }
+        }
+        settings.settingsVersion = SETTINGS_VERSION;
+    }
+
+    // 保存设置
+    function saveSettings() {
+        extension_settings[EXTENSION_NAME] = { ...settings };
+        if (saveSettingsDebounced) {
+            saveSettingsDebounced();
+        }
+    }
+
+    // 不随预设保存与切换的设置项
+    const PRESET_EXCLUDED_KEYS = ['enabled', 'presets', 'settingsVersion'];
+
+    // 取值受限的设置项，用于校验导入的预设
+    const SETTING_ENUMS = {
+        backoffStrategy: Object.keys(BACKOFF_STRATEGIES),
+        mutateSeed: ['off', 'increment', 'random'],
+        nudgeRole: ['system', 'user'],
+        exhaustionMode: ['error', 'best'],
+        bestOfMetric: ['length', 'score'],
+        breakerScope: ['host', 'rule'],
+        thresholdMode: ['fixed', 'adaptive'],
+    };
+
+    // 数值设置项的取值范围 [最小值, 最大值]，与设置面板的输入限制一致；未列出的项只要求非负
+    const SETTING_RANGES = {
+        maxRetries: [1, 40],
+        baseDelay: [500, 5000],
+        linearStep: [0, Infinity],
+        backoffFactor: [1, 10],
+        maxHedges: [1, 5],
+        minContentLength: [0, 1000],
+        minTokenThreshold: [1, Infinity],
+        adaptiveThresholdPercent: [1, 100],
+        maxContinuations: [1, 10],
+        repetitionNgram: [2, 12],
+        repetitionThreshold: [0.05, 0.95],
+        temperatureStep: [0, 1],
+        temperatureMax: [0, 5],
+        breakerThreshold: [1, 20],
+        breakerCooldown: [1000, Infinity],
+        historySize: [10, 2000],
+    };
+
+    // 内置预设：只修改与场景相关的项，其余设置（包括拦截规则）保持不变
+    const BUILTIN_PRESETS = {
+        '严格代理': {
+            maxRetries: 5,
+            backoffStrategy: 'exponential',
+            honorRetryAfter: true,
+            firstByteTimeout: 90000,
+            idleTimeout: 30000,
+            detectEmbeddedErrors: true,
+            enableCircuitBreaker: true,
+            enableTokenBudget: true,
+            requestTokenBudget: 50000,
+            exhaustionMode: 'best',
+        },
+        '本地模型': {
+            maxRetries: 2,
+            baseDelay: 500,
+            backoffStrategy: 'fixed',
+            honorRetryAfter: false,
+            firstByteTimeout: 0,
+            idleTimeout: 0,
+            attemptTimeout: 0,
+            thresholdMode: 'adaptive',
+            enableCircuitBreaker: false,
+            enableHedging: false,
+            enableTokenBudget: false,
+            enableContinuation: true,
+        },
+    };
+
+    // 预设文件的格式标识
+    const PRESET_FILE_FORMAT = 'st-api-retry-presets';
+
+    // 当前设置的快照（可作为预设保存）
+    function snapshotPresetSettings() {
+        const snapshot = {};
+        for (const key of Object.keys(DEFAULT_SETTINGS)) {
+            if (!PRESET_EXCLUDED_KEYS.includes(key)) {
+                snapshot[key] = JSON.parse(JSON.stringify(settings[key]));
+            }
+        }
+        return snapshot;
+    }
+
+    // 校验预设中的设置项，返回错误说明列表（为空表示通过）
+    function validatePresetSettings(preset) {
+        if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+            return ['预设内容必须是对象'];
+        }
+        const errors = [];
+        for (const [key, value] of Object.entries(preset)) {
+            if (!(key in DEFAULT_SETTINGS) || PRESET_EXCLUDED_KEYS.includes(key)) {
+                errors.push(`未知的设置项：${key}`);
+                continue;
+            }
+            const expected = DEFAULT_SETTINGS[key];
+            if (Array.isArray(expected)) {
+                if (!Array.isArray(value)) errors.push(`${key} 应为数组`);
+            } else if (typeof expected === 'number') {
+                const [min, max] = SETTING_RANGES[key] || [0, Infinity];
+                if (typeof value !== 'number' || !Number.isFinite(value)) {
+                    errors.push(`${key} 应为数字`);
+                } else if (value < min || value > max) {
+                    errors.push(`${key} 的取值 ${value} 超出范围（${max === Infinity ? `不小于 ${min}` : `${min}–${max}`}）`);
+                }
+            } else if (typeof expected === 'object') {
+                if (!value || typeof value !== 'object' || Array.isArray(value)) errors.push(`${key} 应为对象`);
+            } else if (typeof value !== typeof expected) {
+                errors.push(`${key} 应为${typeof expected === 'boolean' ? '布尔值' : '字符串'}`);
+            } else if (SETTING_ENUMS[key] && !SETTING_ENUMS[key].includes(value)) {
+                errors.push(`${key} 的取值 ${value} 无效，可选：${SETTING_ENUMS[key].join(' / ')}`);
+            }
+        }
+        if (Array.isArray(preset.interceptRules)) {
+            normalizeRules(preset.interceptRules).forEach((rule, idx) => {
+                for (const problem of getRuleProblems(rule)) {
+                    errors.push(`拦截规则 ${idx + 1}「${getRuleLabel(rule)}」：${problem}`);
+                }
+            });
+        }
+        if (Array.isArray(preset.retryPolicy)) {
+            preset.retryPolicy.forEach((entry, idx) => {
+                if (!entry || typeof entry !== 'object' || !String(entry.match || '').trim() || !POLICY_ACTIONS[entry.action]) {
+                    errors.push(`重试策略第 ${idx + 1} 条无效：需要 match 与 action（${Object.keys(POLICY_ACTIONS).join(' / ')}）`);
+                }
+            });
+        }
+        return errors;
+    }
+
+    // 应用预设：只覆盖预设中出现的项
+    function applyPreset(name) {
+        const preset = BUILTIN_PRESETS[name] || settings.presets[name];
+        if (!preset) throw new Error(`预设不存在：${name}`);
+        for (const [key, value] of Object.entries(preset)) {
+            if (key in DEFAULT_SETTINGS && !PRESET_EXCLUDED_KEYS.includes(key)) {
+                settings[key] = JSON.parse(JSON.stringify(value));
+            }
+        }
+        settings.interceptRules = normalizeRules(settings.interceptRules);
+        saveSettings();
+        log(`已应用预设「${name}」`);
+    }
+
+    // 生成预设导出文件内容；name 为空时导出当前设置
+    function buildPresetExport(name) {
+        const presets = name
+            ? { [name]: BUILTIN_PRESETS[name] || settings.presets[name] }
+            : { 当前设置: snapshotPresetSettings() };
+        return JSON.stringify({ format: PRESET_FILE_FORMAT, settingsVersion: SETTINGS_VERSION, presets }, null, 2);
+    }
+
+    // 解析并校验导入的预设文件：返回 { presets } 或 { errors }；旧版本文件先执行迁移
+    function parsePresetImport(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            return { errors: [`不是有效的 JSON：${e.message}`] };
+        }
+        if (!data || typeof data !== 'object' || data.format !== PRESET_FILE_FORMAT) {
+            return { errors: [`不是本插件导出的预设文件（缺少 format: "${PRESET_FILE_FORMAT}"）`] };
+        }
+        const version = Number(data.settingsVersion) || 0;
+        if (version > SETTINGS_VERSION) {
+            return { errors: [`预设文件来自更新版本的插件（结构版本 ${version}，当前 ${SETTINGS_VERSION}），请先更新插件`] };
+        }
+        if (!data.presets || typeof data.presets !== 'object' || Array.isArray(data.presets) || !Object.keys(data.presets).length) {
+            return { errors: ['文件中没有预设'] };
+        }
+        const errors = [];
+        const presets = {};
+        for (const [name, preset] of Object.entries(data.presets)) {
+            if (!String(name).trim()) {
+                errors.push('预设名称不能为空');
+                continue;
+            }
+            if (BUILTIN_PRESETS[name]) {
+                errors.push(`「${name}」与内置预设同名，请改名后再导入`);
+                continue;
+            }
+            const problems = validatePresetSettings(preset);
+            if (problems.length) {
+                errors.push(...problems.map(p => `「${name}」${p}`));
+                continue;
+            }
+            presets[name] = migrateSettings(JSON.parse(JSON.stringify(preset)), version);
+        }
+        return errors.length ? { errors } : { presets };
+    }
+
+    // 刷新预设下拉框，尽量保持当前选中项
+    function renderPresets() {
+        try {
+            const select = $('#preset-select');
+            if (!select.length) return;
+            const current = String(select.val() || '');
+            select.empty();
+            select.append($('<option value="">').text('（当前设置）'));
+            for (const name of Object.keys(BUILTIN_PRESETS)) {
+                select.append($('<option>').val(name).text(`${name}（内置）`));
+            }
+            for (const name of Object.keys(settings.presets || {})) {
+                select.append($('<option>').val(name).text(name));
+            }
+            const names = [...Object.keys(BUILTIN_PRESETS), ...Object.keys(settings.presets || {})];
+            select.val(names.includes(current) ? current : '');
+        } catch {}
+    }
+
+    // 创建设置UI
+    function createSettingsUI() {
         const settingsHtml = `
             <style>
                 /* Scope button layout fixes to this extension only */
@@ -398,172 +3828,1202 @@
                                 <span>启用空内容重试</span>
                             </label>
 
-                            <div class="range-block">
-                                <div class="range-block-title">最大重试次数: <span id="retry-count-value">${settings.maxRetries}</span></div>
-                                <input id="retry-count" type="range" min="1" max="40" step="1" value="${settings.maxRetries}">
+                            <div class="range-block">
+                                <div class="range-block-title">预设</div>
+                                <div class="flex-container" style="gap: 8px; align-items: center; flex-wrap: wrap;">
+                                    <select id="preset-select" class="text_pole" style="max-width: 200px;"></select>
+                                    <button id="apply-preset" class="menu_button" style="width:auto; white-space:nowrap;">应用</button>
+                                    <button id="delete-preset" class="menu_button" style="width:auto; white-space:nowrap;">删除</button>
+                                    <button id="export-preset" class="menu_button" style="width:auto; white-space:nowrap;">导出</button>
+                                    <button id="import-presets" class="menu_button" style="width:auto; white-space:nowrap;">导入</button>
+                                    <input id="import-presets-file" type="file" accept=".json,application/json" style="display:none;">
+                                </div>
+                                <div class="flex-container" style="gap: 8px; align-items: center;">
+                                    <input id="preset-name" type="text" class="text_pole" placeholder="预设名称" style="max-width: 200px;">
+                                    <button id="save-preset" class="menu_button" style="width:auto; white-space:nowrap;">将当前设置另存为预设</button>
+                                </div>
+                                <small class="notes">预设保存除总开关外的全部设置（含拦截规则）；内置预设只调整与场景相关的项。导出所选预设（选“当前设置”则导出当前配置）为 JSON 文件，可分享给他人导入；导入的预设会先校验，不会自动应用。</small>
+                            </div>
+
+                            <div class="range-block">
+                                <div class="range-block-title">最大重试次数: <span id="retry-count-value">${settings.maxRetries}</span></div>
+                                <input id="retry-count" type="range" min="1" max="40" step="1" value="${settings.maxRetries}">
+                            </div>
+
+                            <div class="range-block">
+                                <div class="range-block-title">基础延迟(毫秒): <span id="base-delay-value">${settings.baseDelay}</span></div>
+                                <input id="base-delay" type="range" min="500" max="5000" step="100" value="${settings.baseDelay}">
+                            </div>
+
+                            <div class="range-block">
+                                <div class="range-block-title">退避策略</div>
+                                <select id="backoff-strategy" class="text_pole">
+                                    ${Object.entries(BACKOFF_STRATEGIES).map(([key, strategy]) => `<option value="${key}" ${settings.backoffStrategy === key ? 'selected' : ''}>${strategy.label}</option>`).join('')}
+                                </select>
+                                <div class="backoff-options" data-strategies="linear">
+                                    <div class="range-block-title">每次递增(毫秒):</div>
+                                    <input id="linear-step" type="number" min="0" step="100" value="${settings.linearStep}" class="text_pole" style="max-width: 120px;">
+                                </div>
+                                <div class="backoff-options" data-strategies="exponential">
+                                    <div class="range-block-title">倍数:</div>
+                                    <input id="backoff-factor" type="number" min="1" max="10" step="0.1" value="${settings.backoffFactor}" class="text_pole" style="max-width: 120px;">
+                                </div>
+                                <div class="backoff-options" data-strategies="exponential full-jitter decorrelated-jitter">
+                                    <div class="range-block-title">延迟上限(毫秒):</div>
+                                    <input id="max-delay" type="number" min="0" step="1000" value="${settings.maxDelay}" class="text_pole" style="max-width: 120px;">
+                                </div>
+                                <label class="checkbox_label">
+                                    <input id="honor-retry-after" type="checkbox" ${settings.honorRetryAfter ? 'checked' : ''}>
+                                    <span>429/503 时遵循服务器 Retry-After</span>
+                                </label>
+                                <div class="range-block-title">服务器等待上限(毫秒):</div>
+                                <input id="max-retry-after" type="number" min="0" step="1000" value="${settings.maxRetryAfter}" class="text_pole" style="max-width: 120px;">
+                            </div>
+
+                            
+
+                            <div class="range-block">
+                                <div class="range-block-title">超时看门狗（毫秒，0 为不限）</div>
+                                <div class="flex-container" style="gap: 8px; align-items: center;">
+                                    <span>首字节</span>
+                                    <input id="first-byte-timeout" type="number" min="0" step="1000" class="text_pole" style="max-width: 100px;">
+                                    <span>分片间隔</span>
+                                    <input id="idle-timeout" type="number" min="0" step="1000" class="text_pole" style="max-width: 100px;">
+                                    <span>单次总时长</span>
+                                    <input id="attempt-timeout" type="number" min="0" step="1000" class="text_pole" style="max-width: 100px;">
+                                </div>
+                                <small class="notes">首字节：等待响应头的时长（非流式响应要等到生成完毕才有响应头，请留足时间）；分片间隔：流式响应两段数据之间的最长等待；超时按可重试失败处理（策略类别 timeout）。点击停止仍会立即中断。</small>
+                            </div>
+
+                            <div class="range-block">
+                                <label class="checkbox_label">
+                                    <input id="enable-hedging" type="checkbox" ${settings.enableHedging ? 'checked' : ''}>
+                                    <span>对冲请求（慢响应时并行发起下一次尝试）</span>
+                                </label>
+                                <div class="flex-container" style="gap: 8px; align-items: center;">
+                                    <span>对冲延迟(毫秒)</span>
+                                    <input id="hedge-delay" type="number" min="0" step="500" value="${settings.hedgeDelay}" class="text_pole" style="max-width: 100px;">
+                                    <span>最多并行对冲</span>
+                                    <input id="max-hedges" type="number" min="1" max="5" step="1" value="${settings.maxHedges}" class="text_pole" style="max-width: 70px;">
+                                </div>
+                                <small class="notes">尝试在延迟内仍没有有效响应时，并行发起下一次尝试；最先通过判空与 Token 检查的响应胜出，其余请求立即中止。对冲请求计入最大重试次数，会增加后端请求量。</small>
+                            </div>
+
+                            <label class="checkbox_label">
+                                <input id="check-whitespace" type="checkbox" ${settings.checkWhitespace ? 'checked' : ''}>
+                                <span>检查纯空白字符内容</span>
+                            </label>
+
+                            <div class="flex-container" style="gap: 8px; align-items: center;">
+                                <span>最小内容长度（字符，去除首尾空白后短于此视为空内容）</span>
+                                <input id="min-content-length" type="number" min="0" max="1000" step="1" value="${settings.minContentLength}" class="text_pole" style="max-width: 80px;">
+                            </div>
+
+                            <label class="checkbox_label">
+                                <input id="enable-stream-detection" type="checkbox" ${settings.enableStreamDetection ? 'checked' : ''}>
+                                <span>流式响应边接收边检测</span>
+                            </label>
+
+                            <label class="checkbox_label" title="代理以 200 返回错误信息、Gemini 安全拦截、网关返回 HTML 错误页时按“上游错误”重试（策略类别 upstream）">
+                                <input id="detect-embedded-errors" type="checkbox" ${settings.detectEmbeddedErrors ? 'checked' : ''}>
+                                <span>识别 200 响应中的错误与安全拦截</span>
+                            </label>
+
+                            <label class="checkbox_label">
+                                <input id="intercept-xhr" type="checkbox" ${settings.interceptXHR ? 'checked' : ''}>
+                                <span>同时拦截 XMLHttpRequest / $.ajax 请求</span>
+                            </label>
+
+                            <label class="checkbox_label">
+                                <input id="enable-logging" type="checkbox" ${settings.enableLogging ? 'checked' : ''}>
+                                <span>启用控制台日志</span>
+                            </label>
+
+                            <div class="range-block">
+                                <label class="checkbox_label">
+                                    <input id="enable-token-threshold" type="checkbox" ${settings.enableMinTokenRetry ? 'checked' : ''}>
+                                    <span>少于 Token 阈值时重试</span>
+                                </label>
+                                <div class="range-block-title">Token 阈值: <span id="token-threshold-value">${settings.minTokenThreshold}</span></div>
+                                <input id="token-threshold" type="number" min="1" step="1" value="${settings.minTokenThreshold}" class="text_pole" style="max-width: 120px;">
+                                <div class="flex-container" style="gap: 8px; align-items: center;">
+                                    <span>阈值模式</span>
+                                    <select id="threshold-mode" class="text_pole" style="max-width: 120px;">
+                                        <option value="fixed">固定</option>
+                                        <option value="adaptive">自适应</option>
+                                    </select>
+                                    <span>max_tokens 的</span>
+                                    <input id="adaptive-threshold-percent" type="number" min="1" max="100" step="1" value="${settings.adaptiveThresholdPercent}" class="text_pole" style="max-width: 70px;">
+                                    <span>%</span>
+                                </div>
+                                <label class="checkbox_label">
+                                    <input id="skip-threshold-on-stop" type="checkbox" ${settings.skipThresholdOnStop ? 'checked' : ''}>
+                                    <span>因停止序列自然结束时不检查 Token 阈值</span>
+                                </label>
+                                <small class="notes">使用当前模型的分词器计数，不可用时按文字种类估算（中日韩文字约每字 1 个 Token）。自适应模式读取请求体中的 max_tokens / max_new_tokens 等字段，阈值取其百分比，请求未指定时使用上方的固定阈值。</small>
+                            </div>
+
+                            <div class="range-block">
+                                <label class="checkbox_label">
+                                    <input id="enable-continuation" type="checkbox" ${settings.enableContinuation ? 'checked' : ''}>
+                                    <span>回复被截断时自动续写</span>
+                                </label>
+                                <div class="flex-container" style="gap: 8px; align-items: center;">
+                                    <span>最多续写轮数</span>
+                                    <input id="max-continuations" type="number" min="1" max="10" step="1" value="${settings.maxContinuations}" class="text_pole" style="max-width: 70px;">
+                                </div>
+                                <div class="range-block-title">续写提示（对话补全接口使用，留空则只追加 assistant 消息）</div>
+                                <textarea id="continuation-prompt" class="text_pole" rows="2"></textarea>
+                                <small class="notes">因 length / max_tokens 结束或流式连接中途断开、且 Token 过少（或截断检测未通过）的回复，不再丢弃重来，而是把已生成的部分作为预填充（Claude）、追加到 prompt（文本补全）或附上续写提示（其他对话接口）发起续写，拼接成一个完整响应交给酒馆。无法识别请求格式、续写失败或拼接后仍不达标时照常重试。</small>
+                            </div>
+
+                            <div class="range-block">
+                                <div class="range-block-title">重试用尽时</div>
+                                <div class="flex-container" style="gap: 8px; align-items: center;">
+                                    <select id="exhaustion-mode" class="text_pole" style="max-width: 200px;">
+                                        <option value="error">报错</option>
+                                        <option value="best">返回最佳的一次回复</option>
+                                    </select>
+                                    <select id="best-of-metric" class="text_pole" style="max-width: 200px;">
+                                        <option value="length">正文最长</option>
+                                        <option value="score">通过校验器最多</option>
+                                    </select>
+                                </div>
+                                <small class="notes">“返回最佳”会在重试用尽后，从 Token 过少或校验未通过但非空的回复中择优返回（保留原状态码与响应头），并提示已接受未达标的回复。</small>
+                            </div>
+
+                            <hr class="menu_divider">
+
+                            <div class="range-block-title">响应内容提取</div>
+                            <small class="notes">判空与 Token 计数基于提取出的正文。内置适配器：${RESPONSE_EXTRACTORS.map(a => a.label).join('、')}，按请求地址或响应结构自动选择。可添加自定义 JSON 路径（如 output[0].content[*].text），优先于内置适配器；URL 匹配留空表示适用于所有请求。</small>
+                            <ul id="custom-extractors-list" class="list-group" style="margin-top: 8px;"></ul>
+                            <div><button id="add-custom-extractor" class="menu_button" style="width:auto; white-space:nowrap;">添加自定义路径</button></div>
+
+                            <hr class="menu_divider">
+
+                            <div class="range-block-title">内容校验</div>
+                            <small class="notes">在空内容与 Token 检查之后运行，任一启用的校验器未通过即按“内容校验未通过”处理并重试。流式响应仅校验开始输出前暂存的内容。</small>
+                            ${CONTENT_VALIDATORS.map(v => `
+                            <label class="checkbox_label">
+                                <input class="validator-toggle" data-id="${v.id}" type="checkbox" ${isValidatorEnabled(v) ? 'checked' : ''}>
+                                <span>${v.label}</span>
+                            </label>`).join('')}
+                            <div class="range-block">
+                                <div class="range-block-title">屏蔽词（每行一个正则，不区分大小写；也可写作 /.../flags）</div>
+                                <textarea id="blocklist-patterns" class="text_pole" rows="3"></textarea>
+                            </div>
+                            <div class="flex-container" style="gap: 8px; align-items: center;">
+                                <span>重复检测 n-gram 长度</span>
+                                <input id="repetition-ngram" type="number" min="2" max="12" step="1" value="${settings.repetitionNgram}" class="text_pole" style="max-width: 80px;">
+                                <span>重复度阈值</span>
+                                <input id="repetition-threshold" type="number" min="0.05" max="0.95" step="0.05" value="${settings.repetitionThreshold}" class="text_pole" style="max-width: 80px;">
+                            </div>
+
+                            <hr class="menu_divider">
+
+                            <div class="range-block-title">重试时改写请求体</div>
+                            <small class="notes">仅对 JSON 请求体生效，从第 2 次尝试起按次数渐进应用；原始请求不会被修改，下一次生成仍从原始参数开始。</small>
+                            <label class="checkbox_label">
+                                <input id="enable-body-mutation" type="checkbox" ${settings.enableBodyMutation ? 'checked' : ''}>
+                                <span>启用请求体改写</span>
+                            </label>
+                            <div class="flex-container" style="gap: 8px; align-items: center;">
+                                <span>种子</span>
+                                <select id="mutate-seed" class="text_pole" style="max-width: 120px;">
+                                    <option value="off">不变</option>
+                                    <option value="increment">递增</option>
+                                    <option value="random">随机</option>
+                                </select>
+                                <span>温度步长</span>
+                                <input id="temperature-step" type="number" min="0" max="1" step="0.05" class="text_pole" style="max-width: 80px;">
+                                <span>温度上限</span>
+                                <input id="temperature-max" type="number" min="0" max="5" step="0.1" class="text_pole" style="max-width: 80px;">
+                            </div>
+                            <div class="range-block">
+                                <div class="range-block-title">移除字段（逗号分隔，如 logit_bias, stop）</div>
+                                <input id="strip-fields" type="text" class="text_pole">
+                            </div>
+                            <div class="range-block">
+                                <div class="range-block-title">追加提示消息（追加到 messages 末尾）</div>
+                                <div class="flex-container" style="gap: 8px; align-items: center;">
+                                    <select id="nudge-role" class="text_pole" style="max-width: 120px;">
+                                        <option value="system">system</option>
+                                        <option value="user">user</option>
+                                    </select>
+                                </div>
+                                <textarea id="nudge-message" class="text_pole" rows="2" placeholder="例如：请继续完整地回复，不要留空。"></textarea>
+                            </div>
+
+                            <hr class="menu_divider">
+
+                            <div class="range-block-title">重试策略</div>
+                            <small class="notes">按顺序匹配失败类别，首个命中的条目生效，未命中任何条目时重试。匹配写法：状态码（429）、通配（5xx）、区间（500-599）、类别关键字（network 网络错误 / empty 空内容 / lowToken Token过少），* 匹配全部。“静默失败”直接结束请求，不弹出错误框。</small>
+                            <datalist id="retry-policy-classes">
+                                ${Object.entries(POLICY_CLASSES).map(([key, label]) => `<option value="${key}">${label}</option>`).join('')}
+                            </datalist>
+                            <ul id="retry-policy-list" class="list-group" style="margin-top: 8px;"></ul>
+                            <div class="flex-container" style="display:flex; flex-direction:row; gap:8px; align-items:center; flex-wrap:wrap; margin-top:8px;">
+                                <button id="add-policy-entry" class="menu_button" style="width:auto; white-space:nowrap;">添加条目</button>
+                                <button id="reset-policy" class="menu_button" style="width:auto; white-space:nowrap;">恢复默认策略</button>
+                            </div>
+
+                            <hr class="menu_divider">
+
+                            <div class="range-block-title">API拦截管理</div>
+                            <small class="notes">仅当请求 URL 匹配以下任一规则时才应用重试。规则以 /.../ 形式可使用正则；否则为不区分大小写的“包含”匹配（如：URL 为 https://FF.exmaple.xyz/v1，规则写 FF.exmaple 或 FF 均可匹配）。未配置规则时，不拦截任何请求。点击“编辑”可为单条规则设置名称、启用开关，以及独立的重试次数、延迟、Token 阈值等覆盖项。</small>
+                            <div class="flex-container" style="gap: 8px; align-items: center; margin-top: 6px;">
+                                <input id="intercept-pattern" type="text" class="text_pole" placeholder="例如：/api/chat/ 或 /\\/api\\/openai\\//">
+                                <button id="add-intercept-rule" class="menu_button">添加规则</button>
+                            </div>
+                            <ul id="intercept-rules-list" class="list-group" style="margin-top: 8px;"></ul>
+
+                            <hr class="menu_divider">
+
+                            <div class="range-block-title">角色 / 聊天覆盖</div>
+                            <small class="notes">为当前角色或当前聊天单独设置重试开关、最大重试次数、Token 阈值与校验器，分别保存在角色卡扩展数据和聊天元数据中。优先级：全局设置 → 规则覆盖 → 角色覆盖 → 聊天覆盖，后者优先；留空或选“沿用”表示不覆盖。</small>
+                            <div id="scope-status" class="notes" style="margin-top: 4px;"></div>
+                            <div class="flex-container" style="gap: 8px; align-items: center; margin-top: 6px;">
+                                <span>编辑范围</span>
+                                <select id="scope-target" class="text_pole" style="max-width: 120px;">
+                                    <option value="character">当前角色</option>
+                                    <option value="chat">当前聊天</option>
+                                </select>
+                                <button id="scope-clear" class="menu_button scope-field" style="width:auto; white-space:nowrap;">清除此范围</button>
+                            </div>
+                            <div class="flex-container" style="gap: 8px; align-items: center;">
+                                <span>重试功能</span>
+                                <select id="scope-enabled" class="text_pole scope-field" style="max-width: 90px;">
+                                    <option value="">沿用</option>
+                                    <option value="true">启用</option>
+                                    <option value="false">停用</option>
+                                </select>
+                                <span>最大重试</span>
+                                <input id="scope-max-retries" type="number" min="0" max="40" step="1" placeholder="沿用" class="text_pole scope-field" style="max-width: 70px;">
+                                <span>Token阈值</span>
+                                <input id="scope-threshold" type="number" min="0" step="1" placeholder="沿用" class="text_pole scope-field" style="max-width: 90px;">
+                            </div>
+                            <div id="scope-validators" class="flex-container" style="gap: 8px; align-items: center; flex-wrap: wrap;">
+                                ${CONTENT_VALIDATORS.map(v => `
+                                <span>${v.label}</span>
+                                <select class="text_pole scope-field scope-validator" data-id="${v.id}" style="max-width: 80px;">
+                                    <option value="">沿用</option>
+                                    <option value="true">开</option>
+                                    <option value="false">关</option>
+                                </select>`).join('')}
+                            </div>
+
+                            <hr class="menu_divider">
+
+                            <div class="range-block-title">熔断器</div>
+                            <small class="notes">同一主机（或规则）连续多次重试用尽后暂停请求，冷却期内直接报错而不再反复重试；冷却结束后放行一次不重试的试探请求，成功则恢复，失败则继续熔断。</small>
+                            <div class="flex-container" style="gap: 8px; align-items: center;">
+                                <label class="checkbox_label">
+                                    <input id="enable-circuit-breaker" type="checkbox" ${settings.enableCircuitBreaker ? 'checked' : ''}>
+                                    <span>启用熔断器</span>
+                                </label>
+                                <select id="breaker-scope" class="text_pole" style="max-width: 120px;">
+                                    <option value="host">按主机</option>
+                                    <option value="rule">按规则</option>
+                                </select>
+                            </div>
+                            <div class="flex-container" style="gap: 8px; align-items: center;">
+                                <span>连续用尽次数</span>
+                                <input id="breaker-threshold" type="number" min="1" max="20" step="1" value="${settings.breakerThreshold}" class="text_pole" style="max-width: 80px;">
+                                <span>冷却(毫秒)</span>
+                                <input id="breaker-cooldown" type="number" min="1000" step="1000" value="${settings.breakerCooldown}" class="text_pole" style="max-width: 100px;">
+                            </div>
+                            <ul id="circuit-breaker-list" class="list-group" style="margin-top: 8px;"></ul>
+                            <div class="flex-container" style="display:flex; flex-direction:row; gap:8px; align-items:center; flex-wrap:wrap; margin-top:8px;">
+                                <button id="reset-all-breakers" class="menu_button" style="width:auto; white-space:nowrap;">全部重置</button>
+                            </div>
+
+                            <hr class="menu_divider">
+
+                            <div class="range-block-title">Token 预算</div>
+                            <small class="notes">空回复、Token 过少、校验未通过的回复虽被丢弃，付费接口仍会计费。按响应中的用量（缺失时估算）统计这些尝试消耗的输入与输出 Token；启用预算后，达到单次请求或每日预算即停止重试并说明原因。0 表示不限。</small>
+                            <div class="flex-container" style="gap: 8px; align-items: center;">
+                                <label class="checkbox_label">
+                                    <input id="enable-token-budget" type="checkbox" ${settings.enableTokenBudget ? 'checked' : ''}>
+                                    <span>启用 Token 预算</span>
+                                </label>
+                                <span>单次请求</span>
+                                <input id="request-token-budget" type="number" min="0" step="1000" value="${settings.requestTokenBudget}" class="text_pole" style="max-width: 100px;">
+                                <span>每日</span>
+                                <input id="daily-token-budget" type="number" min="0" step="10000" value="${settings.dailyTokenBudget}" class="text_pole" style="max-width: 110px;">
+                            </div>
+                            <table id="token-waste-stats" class="retry-history-table" style="width:100%; margin-top: 6px;">
+                                <thead>
+                                    <tr><th>规则</th><th>丢弃次数</th><th>输入</th><th>输出</th><th>合计</th></tr>
+                                </thead>
+                                <tbody></tbody>
+                            </table>
+                            <div class="flex-container" style="display:flex; flex-direction:row; gap:8px; align-items:center; flex-wrap:wrap; margin-top:8px;">
+                                <span id="token-waste-total" style="flex:1;"></span>
+                                <button id="reset-token-waste" class="menu_button" style="width:auto; white-space:nowrap;">重置今日统计</button>
+                            </div>
+
+                            <hr class="menu_divider">
+
+                            <div class="range-block-title">重试历史</div>
+                            <small class="notes">记录被拦截请求的每次尝试（状态码、空内容、Token 数、错误信息）与最终结果，保存在本浏览器中。</small>
+                            <div class="flex-container" style="gap: 8px; align-items: center;">
+                                <label class="checkbox_label">
+                                    <input id="enable-history" type="checkbox" ${settings.enableHistory ? 'checked' : ''}>
+                                    <span>记录历史</span>
+                                </label>
+                                <span>保留条数</span>
+                                <input id="history-size" type="number" min="10" max="2000" step="10" value="${settings.historySize}" class="text_pole" style="max-width: 90px;">
+                            </div>
+                            <table id="retry-history-stats" class="retry-history-table" style="width:100%; margin-top: 6px;">
+                                <thead>
+                                    <tr><th>规则</th><th>请求数</th><th>成功率</th><th>平均尝试</th><th>空/Token过少</th><th>错误</th></tr>
+                                </thead>
+                                <tbody></tbody>
+                            </table>
+                            <ul id="retry-history-list" class="list-group" style="margin-top: 8px;"></ul>
+                            <div class="flex-container" style="display:flex; flex-direction:row; gap:8px; align-items:center; flex-wrap:wrap; margin-top:8px;">
+                                <button id="export-history-json" class="menu_button" style="width:auto; white-space:nowrap;">导出 JSON</button>
+                                <button id="export-history-csv" class="menu_button" style="width:auto; white-space:nowrap;">导出 CSV</button>
+                                <button id="clear-history" class="menu_button" style="width:auto; white-space:nowrap;">清空历史</button>
+                            </div>
+
+                            <hr class="menu_divider">
+
+                            <div class="range-block-title">诊断</div>
+                            <small class="notes">输入请求 URL 查看命中的规则；粘贴一段响应内容（JSON 或 SSE）查看提取出的正文、Token 数，以及在当前设置下是否会触发重试。“模拟重试流程”使用内置的模拟请求走一遍完整重试循环（等待时间最多 1 秒），不会发出真实请求。</small>
+                            <input id="diag-url" type="text" class="text_pole" list="diag-url-options" placeholder="请求 URL，如 /api/backends/chat-completions/generate">
+                            <datalist id="diag-url-options">
+                                <option value="/api/backends/chat-completions/generate"></option>
+                                <option value="/api/backends/text-completions/generate"></option>
+                                <option value="/api/backends/kobold/generate"></option>
+                                <option value="/api/novelai/generate"></option>
+                            </datalist>
+                            <textarea id="diag-sample" class="text_pole" rows="4" placeholder='样例响应（可选），如 {"choices":[{"message":{"content":""}}]} 或 data: {...} 开头的 SSE 文本'></textarea>
+                            <div class="flex-container" style="gap: 8px; align-items: center;">
+                                <span>模拟空回复次数</span>
+                                <input id="diag-empty-count" type="number" min="0" max="40" step="1" value="2" class="text_pole" style="max-width: 70px;">
+                                <button id="diag-simulate" class="menu_button" style="width:auto; white-space:nowrap;">模拟重试流程</button>
+                            </div>
+                            <pre id="diag-output" style="white-space: pre-wrap; word-break: break-all; max-height: 240px; overflow-y: auto; display: none;"></pre>
+
+                            <div class="flex-container" style="display:flex; flex-direction:row; gap:8px; align-items:center; flex-wrap:wrap; margin-top:8px;">
+                                <button id="retry-test" class="menu_button" style="width:auto; white-space:nowrap;">测试重试功能</button>
+                                <button id="insert-default-rule" class="menu_button" style="width:auto; white-space:nowrap;">插入默认规则</button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        return settingsHtml;
+    }
+
+    // 绑定设置事件
+    function bindSettingsEvents() {
+        // 将 settings 应用到UI，不触发保存
+        function applySettingsToUI() {
+            try {
+                $('#retry-enabled').prop('checked', !!settings.enabled);
+                $('#retry-count').val(Number(settings.maxRetries));
+                $('#retry-count-value').text(String(settings.maxRetries));
+                $('#base-delay').val(Number(settings.baseDelay));
+                $('#base-delay-value').text(String(settings.baseDelay));
+                $('#backoff-strategy').val(String(settings.backoffStrategy));
+                $('#linear-step').val(Number(settings.linearStep));
+                $('#backoff-factor').val(Number(settings.backoffFactor));
+                $('#max-delay').val(Number(settings.maxDelay));
+                $('#honor-retry-after').prop('checked', !!settings.honorRetryAfter);
+                $('#max-retry-after').val(Number(settings.maxRetryAfter));
+                updateBackoffOptionsState();
+                $('#enable-hedging').prop('checked', !!settings.enableHedging);
+                $('#hedge-delay').val(Number(settings.hedgeDelay));
+                $('#max-hedges').val(Number(settings.maxHedges));
+                $('#first-byte-timeout').val(Number(settings.firstByteTimeout));
+                $('#idle-timeout').val(Number(settings.idleTimeout));
+                $('#attempt-timeout').val(Number(settings.attemptTimeout));
+                $('#check-whitespace').prop('checked', !!settings.checkWhitespace);
+                $('#min-content-length').val(Number(settings.minContentLength));
+                $('#enable-stream-detection').prop('checked', !!settings.enableStreamDetection);
+                $('#detect-embedded-errors').prop('checked', !!settings.detectEmbeddedErrors);
+                $('#intercept-xhr').prop('checked', !!settings.interceptXHR);
+                $('#enable-logging').prop('checked', !!settings.enableLogging);
+                $('#enable-token-threshold').prop('checked', !!settings.enableMinTokenRetry);
+                $('#token-threshold').val(Number(settings.minTokenThreshold));
+                $('#token-threshold-value').text(String(settings.minTokenThreshold));
+                $('#threshold-mode').val(String(settings.thresholdMode));
+                $('#adaptive-threshold-percent').val(Number(settings.adaptiveThresholdPercent));
+                $('#skip-threshold-on-stop').prop('checked', !!settings.skipThresholdOnStop);
+                $(`#${EXTENSION_NAME}-settings .validator-toggle`).each(function() {
+                    const validator = CONTENT_VALIDATORS.find(v => v.id === $(this).attr('data-id'));
+                    $(this).prop('checked', !!validator && isValidatorEnabled(validator));
+                });
+                $('#blocklist-patterns').val((settings.blocklistPatterns || []).join('\n'));
+                $('#repetition-ngram').val(Number(settings.repetitionNgram));
+                $('#repetition-threshold').val(Number(settings.repetitionThreshold));
+                $('#enable-body-mutation').prop('checked', !!settings.enableBodyMutation);
+                $('#mutate-seed').val(String(settings.mutateSeed));
+                $('#temperature-step').val(Number(settings.temperatureStep));
+                $('#temperature-max').val(Number(settings.temperatureMax));
+                $('#strip-fields').val((settings.stripFields || []).join(', '));
+                $('#nudge-role').val(String(settings.nudgeRole));
+                $('#nudge-message').val(String(settings.nudgeMessage || ''));
+                $('#enable-circuit-breaker').prop('checked', !!settings.enableCircuitBreaker);
+                $('#breaker-scope').val(settings.breakerScope || 'host');
+                $('#breaker-threshold').val(Number(settings.breakerThreshold));
+                $('#breaker-cooldown').val(Number(settings.breakerCooldown));
+                $('#enable-token-budget').prop('checked', !!settings.enableTokenBudget);
+                $('#request-token-budget').val(Number(settings.requestTokenBudget));
+                $('#daily-token-budget').val(Number(settings.dailyTokenBudget));
+                $('#enable-history').prop('checked', !!settings.enableHistory);
+                $('#history-size').val(Number(settings.historySize));
+                $('#enable-continuation').prop('checked', !!settings.enableContinuation);
+                $('#max-continuations').val(Number(settings.maxContinuations));
+                $('#continuation-prompt').val(String(settings.continuationPrompt || ''));
+                $('#exhaustion-mode').val(String(settings.exhaustionMode));
+                $('#best-of-metric').val(String(settings.bestOfMetric));
+                $('#best-of-metric').prop('disabled', settings.exhaustionMode !== 'best');
+                updateTokenInputsState();
+            } catch {}
+        }
+        // 预设
+        $('#apply-preset').on('click', function() {
+            const name = String($('#preset-select').val() || '');
+            if (!name) return;
+            try {
+                applyPreset(name);
+                refreshSettingsUI?.();
+                showNotification(`已应用预设「${name}」`, 'success');
+            } catch (e) {
+                showNotification(e.message, 'error');
+            }
+        });
+
+        $('#save-preset').on('click', function() {
+            const name = String($('#preset-name').val() || '').trim();
+            if (!name) {
+                showNotification('请填写预设名称', 'warning');
+                return;
+            }
+            if (BUILTIN_PRESETS[name]) {
+                showNotification('不能覆盖内置预设，请换一个名称', 'warning');
+                return;
+            }
+            const existed = !!settings.presets[name];
+            settings.presets = { ...settings.presets, [name]: snapshotPresetSettings() };
+            saveSettings();
+            renderPresets();
+            $('#preset-select').val(name);
+            $('#preset-name').val('');
+            showNotification(`${existed ? '已更新' : '已保存'}预设「${name}」`, 'success');
+        });
+
+        $('#delete-preset').on('click', function() {
+            const name = String($('#preset-select').val() || '');
+            if (!name) return;
+            if (BUILTIN_PRESETS[name]) {
+                showNotification('内置预设不能删除', 'warning');
+                return;
+            }
+            const { [name]: removed, ...rest } = settings.presets;
+            settings.presets = rest;
+            saveSettings();
+            renderPresets();
+            showNotification(`已删除预设「${name}」`, 'info');
+        });
+
+        $('#export-preset').on('click', function() {
+            const name = String($('#preset-select').val() || '');
+            const fileName = (name || 'current').replace(/[\\/:*?"<>|\s]+/g, '_');
+            downloadFile(`st-api-retry-preset-${fileName}-${getExportTimestamp()}.json`, buildPresetExport(name), 'application/json');
+        });
+
+        $('#import-presets').on('click', function() {
+            $('#import-presets-file').val('').trigger('click');
+        });
+
+        $('#import-presets-file').on('change', async function() {
+            const file = this.files && this.files[0];
+            if (!file) return;
+            let text;
+            try {
+                text = await file.text();
+            } catch (e) {
+                showBuiltinError(`读取文件失败：${e.message}`, '导入预设失败');
+                return;
+            }
+            const result = parsePresetImport(text);
+            if (result.errors) {
+                showBuiltinError(result.errors.join('\n'), '导入预设失败');
+                return;
+            }
+            const names = Object.keys(result.presets);
+            settings.presets = { ...settings.presets, ...result.presets };
+            saveSettings();
+            renderPresets();
+            $('#preset-select').val(names[0]);
+            showNotification(`已导入 ${names.length} 个预设：${names.join('、')}，点击“应用”后生效`, 'success');
+        });
+
+        // 开关切换
+        $('#retry-enabled').on('change', function() {
+            settings.enabled = this.checked;
+            saveSettings();
+            showNotification(`重试功能已${this.checked ? '启用' : '禁用'}`, 'info');
+        });
+
+        // 滑块事件
+        $('#retry-count').on('input', function() {
+            settings.maxRetries = parseInt(this.value);
+            $('#retry-count-value').text(this.value);
+            saveSettings();
+        });
+
+        $('#base-delay').on('input', function() {
+            settings.baseDelay = parseInt(this.value);
+            $('#base-delay-value').text(this.value);
+            saveSettings();
+        });
+
+        // 退避策略：仅显示当前策略相关的选项
+        function updateBackoffOptionsState() {
+            const strategy = String(settings.backoffStrategy);
+            $(`#${EXTENSION_NAME}-settings .backoff-options`).each(function() {
+                const strategies = String($(this).attr('data-strategies') || '').split(' ');
+                $(this).toggle(strategies.includes(strategy));
+            });
+            $('#max-retry-after').prop('disabled', !settings.honorRetryAfter);
+        }
+
+        $('#backoff-strategy').on('change', function() {
+            settings.backoffStrategy = String(this.value);
+            saveSettings();
+            updateBackoffOptionsState();
+        });
+
+        $('#linear-step').on('input', function() {
+            settings.linearStep = Math.max(0, parseInt(this.value || '0'));
+            saveSettings();
+        });
+
+        $('#backoff-factor').on('input', function() {
+            settings.backoffFactor = Math.max(1, parseFloat(this.value || '2'));
+            saveSettings();
+        });
+
+        $('#max-delay').on('input', function() {
+            settings.maxDelay = Math.max(0, parseInt(this.value || '0'));
+            saveSettings();
+        });
+
+        $('#honor-retry-after').on('change', function() {
+            settings.honorRetryAfter = this.checked;
+            saveSettings();
+            updateBackoffOptionsState();
+        });
+
+        $('#max-retry-after').on('input', function() {
+            settings.maxRetryAfter = Math.max(0, parseInt(this.value || '0'));
+            saveSettings();
+        });
+
+        updateBackoffOptionsState();
+
+        
+        // 超时看门狗
+        $('#first-byte-timeout, #idle-timeout, #attempt-timeout').on('input', function() {
+            const keys = { 'first-byte-timeout': 'firstByteTimeout', 'idle-timeout': 'idleTimeout', 'attempt-timeout': 'attemptTimeout' };
+            settings[keys[this.id]] = Math.max(0, parseInt(this.value) || 0);
+            saveSettings();
+        });
+
+        // 对冲请求
+        $('#enable-hedging').on('change', function() {
+            settings.enableHedging = this.checked;
+            saveSettings();
+        });
+
+        $('#hedge-delay').on('change', function() {
+            settings.hedgeDelay = Math.max(0, parseInt(this.value) || 0);
+            this.value = settings.hedgeDelay;
+            saveSettings();
+        });
+
+        $('#max-hedges').on('change', function() {
+            settings.maxHedges = Math.min(5, Math.max(1, parseInt(this.value) || DEFAULT_SETTINGS.maxHedges));
+            this.value = settings.maxHedges;
+            saveSettings();
+        });
+
+        // 复选框事件
+        $('#check-whitespace').on('change', function() {
+            settings.checkWhitespace = this.checked;
+            saveSettings();
+        });
+
+        $('#min-content-length').on('change', function() {
+            settings.minContentLength = Math.min(1000, Math.max(0, parseInt(this.value) || 0));
+            this.value = settings.minContentLength;
+            saveSettings();
+        });
+
+        $('#enable-stream-detection').on('change', function() {
+            settings.enableStreamDetection = this.checked;
+            saveSettings();
+        });
+
+        $('#detect-embedded-errors').on('change', function() {
+            settings.detectEmbeddedErrors = this.checked;
+            saveSettings();
+        });
+
+        $('#intercept-xhr').on('change', function() {
+            settings.interceptXHR = this.checked;
+            saveSettings();
+        });
+
+        $('#enable-logging').on('change', function() {
+            settings.enableLogging = this.checked;
+            saveSettings();
+        });
+
+        // Token 阈值
+        function updateTokenInputsState() {
+            const enabled = !!settings.enableMinTokenRetry;
+            const adaptive = settings.thresholdMode === 'adaptive';
+            $('#token-threshold, #threshold-mode').prop('disabled', !enabled);
+            $('#adaptive-threshold-percent, #skip-threshold-on-stop').prop('disabled', !enabled || !adaptive);
+        }
+
+        $('#enable-token-threshold').on('change', function() {
+            settings.enableMinTokenRetry = this.checked;
+            saveSettings();
+            updateTokenInputsState();
+        });
+
+        $('#token-threshold').on('input', function() {
+            const v = Math.max(1, parseInt(this.value || '1'));
+            settings.minTokenThreshold = v;
+            $('#token-threshold-value').text(String(v));
+            saveSettings();
+        });
+
+        $('#threshold-mode').on('change', function() {
+            settings.thresholdMode = this.value === 'adaptive' ? 'adaptive' : 'fixed';
+            saveSettings();
+            updateTokenInputsState();
+        });
+
+        $('#adaptive-threshold-percent').on('change', function() {
+            settings.adaptiveThresholdPercent = Math.min(100, Math.max(1, parseInt(this.value) || DEFAULT_SETTINGS.adaptiveThresholdPercent));
+            this.value = settings.adaptiveThresholdPercent;
+            saveSettings();
+        });
+
+        $('#skip-threshold-on-stop').on('change', function() {
+            settings.skipThresholdOnStop = this.checked;
+            saveSettings();
+        });
+
+        // 初始化一次，确保禁用状态与勾选同步
+        updateTokenInputsState();
+
+        // 重试用尽时的处理
+        $('#exhaustion-mode').on('change', function() {
+            settings.exhaustionMode = String(this.value);
+            $('#best-of-metric').prop('disabled', settings.exhaustionMode !== 'best');
+            saveSettings();
+        });
+
+        $('#best-of-metric').on('change', function() {
+            settings.bestOfMetric = String(this.value);
+            saveSettings();
+        });
+
+        // 内容校验器
+        $(`#${EXTENSION_NAME}-settings`).on('change', '.validator-toggle', function() {
+            settings.validators = { ...settings.validators, [$(this).attr('data-id')]: this.checked };
+            saveSettings();
+        });
+
+        $('#blocklist-patterns').on('change', function() {
+            const patterns = String(this.value || '').split('\n').map(p => p.trim()).filter(Boolean);
+            const invalid = patterns.filter(p => !compileBlocklistPattern(p));
+            settings.blocklistPatterns = patterns;
+            saveSettings();
+            if (invalid.length) {
+                showNotification(`以下屏蔽词不是有效正则，将被忽略：${invalid.join('、')}`, 'warning');
+            }
+        });
+
+        $('#repetition-ngram').on('input', function() {
+            settings.repetitionNgram = Math.max(2, parseInt(this.value || '4') || 4);
+            saveSettings();
+        });
+
+        // 请求体改写
+        $('#enable-body-mutation').on('change', function() {
+            settings.enableBodyMutation = this.checked;
+            saveSettings();
+        });
+
+        $('#mutate-seed').on('change', function() {
+            settings.mutateSeed = String(this.value);
+            saveSettings();
+        });
+
+        $('#temperature-step').on('input', function() {
+            settings.temperatureStep = Math.max(0, parseFloat(this.value) || 0);
+            saveSettings();
+        });
+
+        $('#temperature-max').on('input', function() {
+            settings.temperatureMax = Math.max(0, parseFloat(this.value) || 0);
+            saveSettings();
+        });
+
+        $('#strip-fields').on('change', function() {
+            settings.stripFields = String(this.value || '').split(',').map(f => f.trim()).filter(Boolean);
+            saveSettings();
+        });
+
+        $('#nudge-role').on('change', function() {
+            settings.nudgeRole = String(this.value);
+            saveSettings();
+        });
+
+        $('#nudge-message').on('change', function() {
+            settings.nudgeMessage = String(this.value || '');
+            saveSettings();
+        });
+
+        $('#repetition-threshold').on('input', function() {
+            const v = parseFloat(this.value);
+            settings.repetitionThreshold = Number.isFinite(v) ? Math.min(0.95, Math.max(0.05, v)) : 0.5;
+            saveSettings();
+        });
+
+        // 当前展开编辑的规则下标
+        const expandedRules = new Set();
+
+        // 渲染拦截规则列表（每条规则可展开内联编辑名称、匹配与覆盖项）
+        // 刷新规则行的标题与问题提示（无效正则、无法解析的条件）
+        function updateRuleStatus(item, rule) {
+            const filters = [];
+            if (rule.methods?.length) filters.push(rule.methods.join('/'));
+            if (rule.conditions?.length) filters.push(`${rule.conditions.length} 个条件`);
+            const text = `${rule.exclude ? '[排除] ' : ''}${getRuleLabel(rule)}${filters.length ? `（${filters.join('，')}）` : ''}`;
+            item.find('.rule-text').first().text(text);
+            const problems = getRuleProblems(rule);
+            item.find('.rule-problems').first().text(problems.length ? `⚠ ${problems.join('；')}` : '').toggle(problems.length > 0);
+        }
+
+        function renderRules() {
+            const list = $('#intercept-rules-list');
+            list.empty();
+            const rules = Array.isArray(settings.interceptRules) ? settings.interceptRules : [];
+            if (!rules.length) {
+                list.append('<li class="list-group-item">未配置规则（当前不拦截任何请求）</li>');
+                return;
+            }
+            rules.forEach((rule, idx) => {
+                const overrides = rule.overrides || {};
+                const wsValue = overrides.checkWhitespace === true ? 'true' : overrides.checkWhitespace === false ? 'false' : '';
+                const hedgeValue = overrides.enableHedging === true ? 'true' : overrides.enableHedging === false ? 'false' : '';
+                const item = $(`
+                    <li class="list-group-item" data-index="${idx}">
+                        <div style="display:flex; gap:6px; align-items:center;">
+                            <input class="rule-enabled" type="checkbox" title="启用此规则" ${rule.enabled !== false ? 'checked' : ''}>
+                            <span style="flex:1; word-break:break-all;">
+                                <span class="rule-text"></span>
+                                <small class="rule-problems" style="display:block; color:#e57373;"></small>
+                            </span>
+                            <button class="menu_button small edit-rule">${expandedRules.has(idx) ? '收起' : '编辑'}</button>
+                            <button class="menu_button small delete-rule">删除</button>
+                        </div>
+                        <div class="rule-editor flex-container flexFlowColumn" style="display:${expandedRules.has(idx) ? 'flex' : 'none'}; margin-top:6px;">
+                            <small class="notes">覆盖项留空则沿用全局设置。</small>
+                            <input class="text_pole rule-field" data-field="name" type="text" placeholder="名称（可选）">
+                            <input class="text_pole rule-field" data-field="pattern" type="text" placeholder="匹配：/.../ 或 /.../i 为正则，否则为子串匹配">
+                            <div style="display:flex; gap:6px; flex-wrap:wrap; align-items:center;">
+                                <label class="checkbox_label">
+                                    <input class="rule-exclude" type="checkbox" ${rule.exclude ? 'checked' : ''}>
+                                    <span>排除规则（命中时不拦截）</span>
+                                </label>
+                                <label>请求方法 <input class="text_pole rule-field" data-field="methods" type="text" placeholder="如 POST，留空不限" style="max-width: 140px;"></label>
+                            </div>
+                            <textarea class="text_pole rule-conditions" rows="2" placeholder='请求体条件，每行一个，全部满足才命中，如 chat_completion_source == "openrouter" 或 stream == false'></textarea>
+                            <div style="display:flex; gap:6px; flex-wrap:wrap; align-items:center;">
+                                <label>最大重试次数 <input class="text_pole rule-override" data-key="maxRetries" type="number" min="0" max="40" step="1" style="max-width: 90px;" placeholder="${settings.maxRetries}"></label>
+                                <label>基础延迟 <input class="text_pole rule-override" data-key="baseDelay" type="number" min="0" step="100" style="max-width: 90px;" placeholder="${settings.baseDelay}"></label>
+                                <label>Token 阈值 <input class="text_pole rule-override" data-key="minTokenThreshold" type="number" min="1" step="1" style="max-width: 90px;" placeholder="${settings.minTokenThreshold}"></label>
+                                <label>检查纯空白
+                                    <select class="text_pole rule-override-bool" data-key="checkWhitespace" style="max-width: 90px;">
+                                        <option value="" ${wsValue === '' ? 'selected' : ''}>沿用全局</option>
+                                        <option value="true" ${wsValue === 'true' ? 'selected' : ''}>是</option>
+                                        <option value="false" ${wsValue === 'false' ? 'selected' : ''}>否</option>
+                                    </select>
+                                </label>
+                                <label>对冲请求
+                                    <select class="text_pole rule-override-bool" data-key="enableHedging" style="max-width: 90px;">
+                                        <option value="" ${hedgeValue === '' ? 'selected' : ''}>沿用全局</option>
+                                        <option value="true" ${hedgeValue === 'true' ? 'selected' : ''}>开启</option>
+                                        <option value="false" ${hedgeValue === 'false' ? 'selected' : ''}>关闭</option>
+                                    </select>
+                                </label>
+                                <label>对冲延迟 <input class="text_pole rule-override" data-key="hedgeDelay" type="number" min="0" step="500" style="max-width: 90px;" placeholder="${settings.hedgeDelay}"></label>
+                            </div>
+                            <div class="range-block-title">备用链</div>
+                            <small class="notes">重试用尽或被策略判定失败后按顺序尝试。URL 留空则沿用原地址；请求体补丁为 JSON，会合并进原请求体（如 {"model": "gpt-4o-mini"}）。</small>
+                            <ul class="rule-fallbacks list-group"></ul>
+                            <div><button class="menu_button small add-fallback">添加备用</button></div>
+                        </div>
+                    </li>
+                `);
+                const fallbackList = item.find('.rule-fallbacks');
+                (rule.fallbacks || []).forEach((fallback, fIdx) => {
+                    const fItem = $(`
+                        <li class="list-group-item flex-container flexFlowColumn" data-fallback-index="${fIdx}">
+                            <div style="display:flex; gap:6px; align-items:center;">
+                                <input class="fallback-enabled" type="checkbox" title="启用此备用" ${fallback.enabled !== false ? 'checked' : ''}>
+                                <input class="text_pole fallback-field" data-field="name" type="text" placeholder="名称（可选）" style="flex:1;">
+                                <label>重试次数 <input class="text_pole fallback-field" data-field="maxRetries" type="number" min="0" max="40" step="1" style="max-width: 70px;"></label>
+                                <button class="menu_button small move-fallback-up" ${fIdx === 0 ? 'disabled' : ''}>上移</button>
+                                <button class="menu_button small delete-fallback">删除</button>
                             </div>
+                            <input class="text_pole fallback-field" data-field="url" type="text" placeholder="请求 URL（留空沿用原地址）">
+                            <textarea class="text_pole fallback-patch" rows="2" placeholder='请求体补丁，如 {"model": "gpt-4o-mini", "chat_completion_source": "openrouter"}'></textarea>
+                        </li>
+                    `);
+                    fItem.find('.fallback-field[data-field="name"]').val(fallback.name || '');
+                    fItem.find('.fallback-field[data-field="maxRetries"]').val(Number(fallback.maxRetries) || 0);
+                    fItem.find('.fallback-field[data-field="url"]').val(fallback.url || '');
+                    const patch = fallback.patch && typeof fallback.patch === 'object' ? fallback.patch : {};
+                    fItem.find('.fallback-patch').val(Object.keys(patch).length ? JSON.stringify(patch) : '');
+                    fallbackList.append(fItem);
+                });
+                updateRuleStatus(item, rule);
+                item.find('.rule-field[data-field="name"]').val(rule.name || '');
+                item.find('.rule-field[data-field="pattern"]').val(rule.pattern || '');
+                item.find('.rule-field[data-field="methods"]').val((rule.methods || []).join(', '));
+                item.find('.rule-conditions').val((rule.conditions || []).join('\n'));
+                for (const key of ['maxRetries', 'baseDelay', 'minTokenThreshold', 'hedgeDelay']) {
+                    item.find(`.rule-override[data-key="${key}"]`).val(overrides[key] ?? '');
+                }
+                list.append(item);
+            });
+        }
+
+        // 渲染重试策略表
+        function renderPolicy() {
+            const list = $('#retry-policy-list');
+            list.empty();
+            const policy = Array.isArray(settings.retryPolicy) ? settings.retryPolicy : [];
+            if (!policy.length) {
+                list.append('<li class="list-group-item">未配置策略（所有失败均重试）</li>');
+                return;
+            }
+            policy.forEach((entry, idx) => {
+                const options = Object.entries(POLICY_ACTIONS)
+                    .map(([key, label]) => `<option value="${key}" ${entry.action === key ? 'selected' : ''}>${label}</option>`)
+                    .join('');
+                const item = $(`
+                    <li class="list-group-item" data-index="${idx}" style="display:flex; gap:6px; align-items:center;">
+                        <input class="text_pole policy-match" type="text" list="retry-policy-classes" style="flex:1;">
+                        <select class="text_pole policy-action" style="max-width: 120px;">${options}</select>
+                        <button class="menu_button small delete-policy">删除</button>
+                    </li>
+                `);
+                item.find('.policy-match').val(String(entry.match || ''));
+                list.append(item);
+            });
+        }
+
+        // 策略表采用整体替换，避免修改默认策略数组
+        function updatePolicyEntry(idx, patch) {
+            settings.retryPolicy = settings.retryPolicy.map((entry, i) => (i === idx ? { ...entry, ...patch } : entry));
+            saveSettings();
+        }
+
+        $('#retry-policy-list').on('change', '.policy-match', function() {
+            const idx = parseInt($(this).closest('li').attr('data-index'));
+            if (Number.isInteger(idx)) {
+                updatePolicyEntry(idx, { match: String(this.value || '').trim() });
+            }
+        });
+
+        $('#retry-policy-list').on('change', '.policy-action', function() {
+            const idx = parseInt($(this).closest('li').attr('data-index'));
+            if (Number.isInteger(idx)) {
+                updatePolicyEntry(idx, { action: String(this.value) });
+            }
+        });
+
+        $('#retry-policy-list').on('click', '.delete-policy', function() {
+            const idx = parseInt($(this).closest('li').attr('data-index'));
+            if (Number.isInteger(idx)) {
+                settings.retryPolicy = settings.retryPolicy.filter((_, i) => i !== idx);
+                saveSettings();
+                renderPolicy();
+            }
+        });
+
+        $('#add-policy-entry').on('click', function() {
+            const policy = Array.isArray(settings.retryPolicy) ? settings.retryPolicy : [];
+            settings.retryPolicy = [...policy, { match: '', action: 'retry' }];
+            saveSettings();
+            renderPolicy();
+        });
+
+        $('#reset-policy').on('click', function() {
+            settings.retryPolicy = DEFAULT_RETRY_POLICY.map(entry => ({ ...entry }));
+            saveSettings();
+            renderPolicy();
+            showNotification('已恢复默认重试策略', 'success');
+        });
+
+        // 自定义提取路径
+        function renderCustomExtractors() {
+            const list = $('#custom-extractors-list');
+            list.empty();
+            const customs = Array.isArray(settings.customExtractors) ? settings.customExtractors : [];
+            if (!customs.length) {
+                list.append('<li class="list-group-item">未配置自定义路径（仅使用内置适配器）</li>');
+                return;
+            }
+            customs.forEach((custom, idx) => {
+                const item = $(`
+                    <li class="list-group-item" data-index="${idx}" style="display:flex; gap:6px; align-items:center; flex-wrap:wrap;">
+                        <input class="extractor-enabled" type="checkbox" title="启用" ${custom.enabled !== false ? 'checked' : ''}>
+                        <input class="text_pole extractor-field" data-field="name" type="text" placeholder="名称" style="max-width: 110px;">
+                        <input class="text_pole extractor-field" data-field="urlPattern" type="text" placeholder="URL 匹配（可选）" style="flex:1;">
+                        <input class="text_pole extractor-field" data-field="path" type="text" placeholder="JSON 路径" style="flex:1;">
+                        <button class="menu_button small delete-extractor">删除</button>
+                    </li>
+                `);
+                for (const field of ['name', 'urlPattern', 'path']) {
+                    item.find(`.extractor-field[data-field="${field}"]`).val(custom[field] || '');
+                }
+                list.append(item);
+            });
+        }
+
+        function updateCustomExtractor(el, patch) {
+            const idx = parseInt($(el).closest('li').attr('data-index'));
+            if (!Number.isInteger(idx)) return;
+            settings.customExtractors = settings.customExtractors.map((c, i) => (i === idx ? { ...c, ...patch } : c));
+            saveSettings();
+        }
+
+        $('#custom-extractors-list').on('change', '.extractor-enabled', function() {
+            updateCustomExtractor(this, { enabled: this.checked });
+        });
+
+        $('#custom-extractors-list').on('change', '.extractor-field', function() {
+            updateCustomExtractor(this, { [$(this).attr('data-field')]: String(this.value || '').trim() });
+        });
+
+        $('#custom-extractors-list').on('click', '.delete-extractor', function() {
+            const idx = parseInt($(this).closest('li').attr('data-index'));
+            if (!Number.isInteger(idx)) return;
+            settings.customExtractors = settings.customExtractors.filter((_, i) => i !== idx);
+            saveSettings();
+            renderCustomExtractors();
+        });
+
+        $('#add-custom-extractor').on('click', function() {
+            const customs = Array.isArray(settings.customExtractors) ? settings.customExtractors : [];
+            settings.customExtractors = [...customs, { name: '', urlPattern: '', path: '', enabled: true }];
+            saveSettings();
+            renderCustomExtractors();
+        });
+
+        // 熔断器
+        $('#enable-circuit-breaker').on('change', function() {
+            settings.enableCircuitBreaker = this.checked;
+            saveSettings();
+        });
+
+        $('#breaker-scope').on('change', function() {
+            settings.breakerScope = this.value === 'rule' ? 'rule' : 'host';
+            // 粒度变化后旧的状态不再适用
+            resetCircuitBreaker();
+            saveSettings();
+        });
+
+        $('#breaker-threshold').on('change', function() {
+            settings.breakerThreshold = Math.min(20, Math.max(1, parseInt(this.value) || DEFAULT_SETTINGS.breakerThreshold));
+            this.value = settings.breakerThreshold;
+            saveSettings();
+        });
 
-                            <div class="range-block">
-                                <div class="range-block-title">基础延迟(毫秒): <span id="base-delay-value">${settings.baseDelay}</span></div>
-                                <input id="base-delay" type="range" min="500" max="5000" step="100" value="${settings.baseDelay}">
-                            </div>
+        $('#breaker-cooldown').on('change', function() {
+            settings.breakerCooldown = Math.max(1000, parseInt(this.value) || DEFAULT_SETTINGS.breakerCooldown);
+            this.value = settings.breakerCooldown;
+            saveSettings();
+        });
 
-                            
+        $('#circuit-breaker-list').on('click', '.reset-breaker', function() {
+            resetCircuitBreaker($(this).attr('data-key'));
+            showNotification('熔断器已重置', 'info');
+        });
 
-                            <label class="checkbox_label">
-                                <input id="check-whitespace" type="checkbox" ${settings.checkWhitespace ? 'checked' : ''}>
-                                <span>检查纯空白字符内容</span>
-                            </label>
+        $('#reset-all-breakers').on('click', function() {
+            resetCircuitBreaker();
+            showNotification('已重置全部熔断器', 'info');
+        });
 
-                            <label class="checkbox_label">
-                                <input id="enable-logging" type="checkbox" ${settings.enableLogging ? 'checked' : ''}>
-                                <span>启用控制台日志</span>
-                            </label>
+        // 角色/聊天覆盖：任一字段变化即保存到当前编辑的范围
+        function readScopeForm() {
+            const overrides = { validators: {} };
+            const enabled = String($('#scope-enabled').val() || '');
+            if (enabled) overrides.enabled = enabled === 'true';
+            overrides.maxRetries = $('#scope-max-retries').val();
+            overrides.minTokenThreshold = $('#scope-threshold').val();
+            $('#scope-validators .scope-validator').each(function() {
+                const value = String($(this).val() || '');
+                if (value) overrides.validators[$(this).attr('data-id')] = value === 'true';
+            });
+            return overrides;
+        }
 
-                            <div class="range-block">
-                                <label class="checkbox_label">
-                                    <input id="enable-token-threshold" type="checkbox" ${settings.enableMinTokenRetry ? 'checked' : ''}>
-                                    <span>少于 Token 阈值时重试</span>
-                                </label>
-                                <div class="range-block-title">Token 阈值: <span id="token-threshold-value">${settings.minTokenThreshold}</span></div>
-                                <input id="token-threshold" type="number" min="1" step="1" value="${settings.minTokenThreshold}" class="text_pole" style="max-width: 120px;">
-                                <small class="notes">使用当前模型的分词器估算，未可用时采用字符比率估算。</small>
-                            </div>
+        async function commitScopeOverrides(overrides, message) {
+            const scope = String($('#scope-target').val() || 'character');
+            try {
+                await saveScopeOverrides(scope, overrides);
+                if (message) showNotification(message, 'info');
+            } catch (e) {
+                showNotification(`保存${SCOPE_LABELS[scope]}覆盖失败：${e.message}`, 'error');
+            }
+            renderScopeOverrides();
+        }
 
-                            <hr class="menu_divider">
+        $('#scope-target').on('change', renderScopeOverrides);
 
-                            <div class="range-block-title">API拦截管理</div>
-                            <small class="notes">仅当请求 URL 匹配以下任一规则时才应用重试。规则以 /.../ 形式可使用正则；否则为不区分大小写的“包含”匹配（如：URL 为 https://FF.exmaple.xyz/v1，规则写 FF.exmaple 或 FF 均可匹配）。未配置规则时，不拦截任何请求。</small>
-                            <div class="flex-container" style="gap: 8px; align-items: center; margin-top: 6px;">
-                                <input id="intercept-pattern" type="text" class="text_pole" placeholder="例如：/api/chat/ 或 /\\/api\\/openai\\//">
-                                <button id="add-intercept-rule" class="menu_button">添加规则</button>
-                            </div>
-                            <ul id="intercept-rules-list" class="list-group" style="margin-top: 8px;"></ul>
+        $('#scope-enabled, #scope-max-retries, #scope-threshold').on('change', function() {
+            commitScopeOverrides(readScopeForm());
+        });
 
-                            <div class="flex-container" style="display:flex; flex-direction:row; gap:8px; align-items:center; flex-wrap:wrap; margin-top:8px;">
-                                <button id="retry-test" class="menu_button" style="width:auto; white-space:nowrap;">测试重试功能</button>
-                                <button id="insert-default-rule" class="menu_button" style="width:auto; white-space:nowrap;">插入默认规则</button>
-                            </div>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        `;
+        $('#scope-validators').on('change', '.scope-validator', function() {
+            commitScopeOverrides(readScopeForm());
+        });
 
-        return settingsHtml;
-    }
+        $('#scope-clear').on('click', function() {
+            const scope = String($('#scope-target').val() || 'character');
+            commitScopeOverrides(null, `已清除${SCOPE_LABELS[scope]}覆盖`);
+        });
 
-    // 绑定设置事件
-    function bindSettingsEvents() {
-        // 将 settings 应用到UI，不触发保存
-        function applySettingsToUI() {
-            try {
-                $('#retry-enabled').prop('checked', !!settings.enabled);
-                $('#retry-count').val(Number(settings.maxRetries));
-                $('#retry-count-value').text(String(settings.maxRetries));
-                $('#base-delay').val(Number(settings.baseDelay));
-                $('#base-delay-value').text(String(settings.baseDelay));
-                $('#check-whitespace').prop('checked', !!settings.checkWhitespace);
-                $('#enable-logging').prop('checked', !!settings.enableLogging);
-                $('#enable-token-threshold').prop('checked', !!settings.enableMinTokenRetry);
-                $('#token-threshold').val(Number(settings.minTokenThreshold));
-                $('#token-threshold-value').text(String(settings.minTokenThreshold));
-                updateTokenInputsState();
-            } catch {}
-        }
-        // 开关切换
-        $('#retry-enabled').on('change', function() {
-            settings.enabled = this.checked;
+        // 截断续写
+        $('#enable-continuation').on('change', function() {
+            settings.enableContinuation = this.checked;
             saveSettings();
-            showNotification(`重试功能已${this.checked ? '启用' : '禁用'}`, 'info');
         });
 
-        // 滑块事件
-        $('#retry-count').on('input', function() {
-            settings.maxRetries = parseInt(this.value);
-            $('#retry-count-value').text(this.value);
+        $('#max-continuations').on('change', function() {
+            settings.maxContinuations = Math.min(10, Math.max(1, parseInt(this.value) || DEFAULT_SETTINGS.maxContinuations));
+            this.value = settings.maxContinuations;
             saveSettings();
         });
 
-        $('#base-delay').on('input', function() {
-            settings.baseDelay = parseInt(this.value);
-            $('#base-delay-value').text(this.value);
+        $('#continuation-prompt').on('change', function() {
+            settings.continuationPrompt = String(this.value || '').trim();
             saveSettings();
         });
 
-        
-        // 复选框事件
-        $('#check-whitespace').on('change', function() {
-            settings.checkWhitespace = this.checked;
+        // Token 预算
+        $('#enable-token-budget').on('change', function() {
+            settings.enableTokenBudget = this.checked;
             saveSettings();
+            renderWasteStats();
         });
 
-        $('#enable-logging').on('change', function() {
-            settings.enableLogging = this.checked;
+        $('#request-token-budget').on('change', function() {
+            settings.requestTokenBudget = Math.max(0, parseInt(this.value) || 0);
+            this.value = settings.requestTokenBudget;
             saveSettings();
         });
 
-        // Token 阈值
-        function updateTokenInputsState() {
-            const enabled = !!settings.enableMinTokenRetry;
-            $('#token-threshold').prop('disabled', !enabled);
-        }
+        $('#daily-token-budget').on('change', function() {
+            settings.dailyTokenBudget = Math.max(0, parseInt(this.value) || 0);
+            this.value = settings.dailyTokenBudget;
+            saveSettings();
+            renderWasteStats();
+        });
 
-        $('#enable-token-threshold').on('change', function() {
-            settings.enableMinTokenRetry = this.checked;
+        $('#reset-token-waste').on('click', function() {
+            resetWasteStats();
+            showNotification('已重置今日 Token 统计', 'info');
+        });
+
+        // 重试历史
+        $('#enable-history').on('change', function() {
+            settings.enableHistory = this.checked;
             saveSettings();
-            updateTokenInputsState();
         });
 
-        $('#token-threshold').on('input', function() {
-            const v = Math.max(1, parseInt(this.value || '1'));
-            settings.minTokenThreshold = v;
-            $('#token-threshold-value').text(String(v));
+        $('#history-size').on('change', function() {
+            settings.historySize = Math.min(2000, Math.max(10, parseInt(this.value) || DEFAULT_SETTINGS.historySize));
+            this.value = settings.historySize;
+            if (retryHistory.length > settings.historySize) {
+                retryHistory = retryHistory.slice(-settings.historySize);
+                persistHistory();
+                renderHistory();
+            }
             saveSettings();
         });
 
-        // 初始化一次，确保禁用状态与勾选同步
-        updateTokenInputsState();
+        $('#export-history-json').on('click', function() {
+            downloadFile(`st-api-retry-history-${getExportTimestamp()}.json`, JSON.stringify(retryHistory, null, 2), 'application/json');
+        });
 
-        // 渲染拦截规则列表
-        function renderRules() {
-            const list = $('#intercept-rules-list');
-            list.empty();
-            const rules = Array.isArray(settings.interceptRules) ? settings.interceptRules : [];
-            if (!rules.length) {
-                list.append('<li class="list-group-item">未配置规则（当前不拦截任何请求）</li>');
-                return;
-            }
-            rules.forEach((rule, idx) => {
-                const item = $(`
-                    <li class="list-group-item" data-index="${idx}">
-                        <span class="rule-text">${$('<div>').text(rule).html()}</span>
-                        <div style="float:right; display:flex; gap:6px;">
-                            <button class="menu_button small edit-rule">编辑</button>
-                            <button class="menu_button small delete-rule">删除</button>
-                        </div>
-                    </li>
-                `);
-                list.append(item);
-            });
-        }
+        $('#export-history-csv').on('click', function() {
+            downloadFile(`st-api-retry-history-${getExportTimestamp()}.csv`, historyToCSV(), 'text/csv');
+        });
+
+        $('#clear-history').on('click', function() {
+            retryHistory = [];
+            persistHistory();
+            renderHistory();
+            showNotification('已清空重试历史', 'info');
+        });
 
         renderRules();
+        renderPolicy();
+        renderCustomExtractors();
+        renderCircuitBreakers();
+        renderScopeOverrides();
+        renderWasteStats();
+        renderPresets();
+        renderHistory();
         applySettingsToUI();
+        refreshSettingsUI = () => {
+            applySettingsToUI();
+            renderRules();
+            renderPolicy();
+            renderCustomExtractors();
+            renderScopeOverrides();
+            renderPresets();
+        };
 
         // 一次延迟同步，避免主程序稍后载入的持久化值未就绪
-        setTimeout(() => { loadSettings(); applySettingsToUI(); }, 500);
+        setTimeout(() => { loadSettings(); refreshSettingsUI(); }, 500);
 
         // 添加规则
         $('#add-intercept-rule').on('click', function() {
             const val = String($('#intercept-pattern').val() || '').trim();
             if (!val) return;
             settings.interceptRules = Array.isArray(settings.interceptRules) ? settings.interceptRules : [];
-            settings.interceptRules.push(val);
+            const rule = normalizeRule(val);
+            settings.interceptRules.push(rule);
             saveSettings();
             $('#intercept-pattern').val('');
             renderRules();
-            showNotification('已添加拦截规则', 'success');
+            const problems = getRuleProblems(rule);
+            if (problems.length) {
+                showNotification(`已添加拦截规则，但${problems.join('；')}`, 'warning');
+            } else {
+                showNotification('已添加拦截规则', 'success');
+            }
         });
 
         // 编辑/删除规则（事件委托）
@@ -571,30 +5031,210 @@
             const idx = parseInt($(this).closest('li').attr('data-index'));
             if (Number.isInteger(idx)) {
                 settings.interceptRules.splice(idx, 1);
+                expandedRules.clear();
                 saveSettings();
                 renderRules();
             }
         });
 
         $('#intercept-rules-list').on('click', '.edit-rule', function() {
-            const li = $(this).closest('li');
-            const idx = parseInt(li.attr('data-index'));
-            const oldVal = settings.interceptRules[idx];
-            const newVal = prompt('编辑规则（/.../ 为正则，否则为子串匹配）', oldVal);
-            if (newVal != null) {
-                const v = String(newVal).trim();
-                if (v) {
-                    settings.interceptRules[idx] = v;
-                    saveSettings();
-                    renderRules();
+            const idx = parseInt($(this).closest('li').attr('data-index'));
+            if (!Number.isInteger(idx)) return;
+            if (expandedRules.has(idx)) {
+                expandedRules.delete(idx);
+            } else {
+                expandedRules.add(idx);
+            }
+            renderRules();
+        });
+
+        // 内联编辑：启用开关、名称/匹配、覆盖项
+        function getRuleFromEvent(el) {
+            const idx = parseInt($(el).closest('li[data-index]').attr('data-index'));
+            return Number.isInteger(idx) ? settings.interceptRules[idx] : null;
+        }
+
+        function getFallbackIndexFromEvent(el) {
+            return parseInt($(el).closest('li[data-fallback-index]').attr('data-fallback-index'));
+        }
+
+        $('#intercept-rules-list').on('change', '.rule-enabled', function() {
+            const rule = getRuleFromEvent(this);
+            if (!rule) return;
+            rule.enabled = this.checked;
+            saveSettings();
+        });
+
+        $('#intercept-rules-list').on('change', '.rule-field', function() {
+            const rule = getRuleFromEvent(this);
+            if (!rule) return;
+            const field = $(this).attr('data-field');
+            const v = String(this.value || '').trim();
+            if (field === 'pattern' && !v) {
+                // 匹配不能为空，恢复原值
+                this.value = rule.pattern;
+                return;
+            }
+            if (field === 'methods') {
+                rule.methods = v.split(/[\s,，]+/).map(m => m.trim().toUpperCase()).filter(Boolean);
+                this.value = rule.methods.join(', ');
+            } else {
+                rule[field] = v;
+            }
+            saveSettings();
+            updateRuleStatus($(this).closest('li[data-index]'), rule);
+        });
+
+        $('#intercept-rules-list').on('change', '.rule-exclude', function() {
+            const rule = getRuleFromEvent(this);
+            if (!rule) return;
+            rule.exclude = this.checked;
+            saveSettings();
+            updateRuleStatus($(this).closest('li[data-index]'), rule);
+        });
+
+        $('#intercept-rules-list').on('change', '.rule-conditions', function() {
+            const rule = getRuleFromEvent(this);
+            if (!rule) return;
+            rule.conditions = String(this.value || '').split('\n').map(c => c.trim()).filter(Boolean);
+            saveSettings();
+            updateRuleStatus($(this).closest('li[data-index]'), rule);
+        });
+
+        $('#intercept-rules-list').on('change', '.rule-override', function() {
+            const rule = getRuleFromEvent(this);
+            if (!rule) return;
+            const key = $(this).attr('data-key');
+            const raw = String(this.value || '').trim();
+            if (raw === '') {
+                delete rule.overrides[key];
+            } else {
+                // 最大重试次数可设为 0：命中规则但不重试
+                const min = key === 'minTokenThreshold' ? 1 : 0;
+                const value = Math.max(min, parseInt(raw) || min);
+                rule.overrides[key] = key === 'maxRetries' ? Math.min(40, value) : value;
+                this.value = rule.overrides[key];
+            }
+            saveSettings();
+        });
+
+        // 备用链编辑
+        $('#intercept-rules-list').on('click', '.add-fallback', function() {
+            const rule = getRuleFromEvent(this);
+            if (!rule) return;
+            rule.fallbacks = [...(rule.fallbacks || []), { name: '', url: '', patch: {}, maxRetries: 0, enabled: true }];
+            saveSettings();
+            renderRules();
+        });
+
+        $('#intercept-rules-list').on('click', '.delete-fallback', function() {
+            const rule = getRuleFromEvent(this);
+            const fIdx = getFallbackIndexFromEvent(this);
+            if (!rule || !Number.isInteger(fIdx)) return;
+            rule.fallbacks = rule.fallbacks.filter((_, i) => i !== fIdx);
+            saveSettings();
+            renderRules();
+        });
+
+        $('#intercept-rules-list').on('click', '.move-fallback-up', function() {
+            const rule = getRuleFromEvent(this);
+            const fIdx = getFallbackIndexFromEvent(this);
+            if (!rule || !Number.isInteger(fIdx) || fIdx < 1) return;
+            const fallbacks = [...rule.fallbacks];
+            [fallbacks[fIdx - 1], fallbacks[fIdx]] = [fallbacks[fIdx], fallbacks[fIdx - 1]];
+            rule.fallbacks = fallbacks;
+            saveSettings();
+            renderRules();
+        });
+
+        $('#intercept-rules-list').on('change', '.fallback-enabled', function() {
+            const rule = getRuleFromEvent(this);
+            const fallback = rule?.fallbacks?.[getFallbackIndexFromEvent(this)];
+            if (!fallback) return;
+            fallback.enabled = this.checked;
+            saveSettings();
+        });
+
+        $('#intercept-rules-list').on('change', '.fallback-field', function() {
+            const rule = getRuleFromEvent(this);
+            const fallback = rule?.fallbacks?.[getFallbackIndexFromEvent(this)];
+            if (!fallback) return;
+            const field = $(this).attr('data-field');
+            if (field === 'maxRetries') {
+                fallback.maxRetries = Math.min(40, Math.max(0, parseInt(this.value) || 0));
+                this.value = fallback.maxRetries;
+            } else {
+                fallback[field] = String(this.value || '').trim();
+            }
+            saveSettings();
+        });
+
+        $('#intercept-rules-list').on('change', '.fallback-patch', function() {
+            const rule = getRuleFromEvent(this);
+            const fallback = rule?.fallbacks?.[getFallbackIndexFromEvent(this)];
+            if (!fallback) return;
+            const raw = String(this.value || '').trim();
+            let patch = {};
+            if (raw) {
+                try {
+                    patch = JSON.parse(raw);
+                } catch {
+                    patch = null;
                 }
+                if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+                    showNotification('请求体补丁必须是 JSON 对象，未保存', 'error');
+                    return;
+                }
+            }
+            fallback.patch = patch;
+            saveSettings();
+        });
+
+        $('#intercept-rules-list').on('change', '.rule-override-bool', function() {
+            const rule = getRuleFromEvent(this);
+            if (!rule) return;
+            const key = $(this).attr('data-key');
+            if (this.value === '') {
+                delete rule.overrides[key];
+            } else {
+                rule.overrides[key] = this.value === 'true';
+            }
+            saveSettings();
+        });
+
+        // 诊断：规则匹配与样例判定
+        const showDiagnostics = (lines) => {
+            $('#diag-output').text(lines.join('\n')).show();
+        };
+
+        $('#retry-test').on('click', async function() {
+            const url = String($('#diag-url').val() || '').trim();
+            const sample = String($('#diag-sample').val() || '');
+            if (!url && !sample.trim()) {
+                showNotification('请先在“诊断”中输入请求 URL 或粘贴样例响应', 'info');
+                return;
+            }
+            log('用户触发了重试诊断');
+            try {
+                showDiagnostics(await diagnoseRequest(url, sample));
+            } catch (e) {
+                showDiagnostics([`诊断失败：${e.message}`]);
             }
         });
 
-        // 测试按钮
-        $('#retry-test').on('click', function() {
-            showNotification('重试功能测试：模拟一次空内容响应的重试', 'info');
-            log('用户触发了重试功能测试');
+        $('#diag-simulate').on('click', async function() {
+            const button = $(this);
+            if (button.prop('disabled')) return;
+            const emptyCount = Math.min(40, Math.max(0, parseInt($('#diag-empty-count').val()) || 0));
+            button.prop('disabled', true);
+            showDiagnostics(['模拟中…']);
+            try {
+                showDiagnostics(await simulateRetryLoop($('#diag-url').val(), emptyCount));
+            } catch (e) {
+                showDiagnostics([`模拟失败：${e.message}`]);
+            } finally {
+                button.prop('disabled', false);
+            }
         });
 
         // 重置按钮
@@ -602,9 +5242,9 @@
         $('#insert-default-rule').on('click', function() {
             const defaultRule = '/chat-completions/generate';
             const rules = Array.isArray(settings.interceptRules) ? settings.interceptRules : [];
-            const exists = rules.some(r => String(r).toLowerCase() === defaultRule.toLowerCase());
+            const exists = rules.some(r => String(r.pattern).toLowerCase() === defaultRule.toLowerCase());
             if (!exists) {
-                rules.push(defaultRule);
+                rules.push(normalizeRule(defaultRule));
                 settings.interceptRules = rules;
                 saveSettings();
                 renderRules();
@@ -624,19 +5264,280 @@
 
         // 加载设置
         loadSettings();
+        loadHistory();
+        loadWasteStats();
 
         // 替换fetch函数
         window.fetch = enhancedFetch;
 
+        // 替换 XMLHttpRequest（jQuery.ajax 也经由它发出请求）
+        if (!originalXHR && typeof window.XMLHttpRequest === 'function') {
+            originalXHR = window.XMLHttpRequest;
+        }
+        if (originalXHR) {
+            window.XMLHttpRequest = createRetryingXHR(originalXHR);
+        }
+
         log('API空内容重试插件已初始化');
     }
 
+    // /retry-set 可修改的设置：参数名 → { key 设置项, type, 取值范围 }
+    const SLASH_SETTINGS = {
+        enabled: { key: 'enabled', type: 'bool', label: '启用重试' },
+        maxRetries: { key: 'maxRetries', type: 'int', min: 1, max: 40, label: '最大重试次数' },
+        baseDelay: { key: 'baseDelay', type: 'int', min: 0, label: '基础延迟(毫秒)' },
+        threshold: { key: 'minTokenThreshold', type: 'int', min: 1, label: 'Token 阈值' },
+        tokenCheck: { key: 'enableMinTokenRetry', type: 'bool', label: '少于 Token 阈值时重试' },
+        thresholdMode: { key: 'thresholdMode', type: 'enum', values: ['fixed', 'adaptive'], label: 'Token 阈值模式' },
+        whitespace: { key: 'checkWhitespace', type: 'bool', label: '检查纯空白' },
+        backoff: { key: 'backoffStrategy', type: 'enum', values: Object.keys(BACKOFF_STRATEGIES), label: '退避策略' },
+        exhaustion: { key: 'exhaustionMode', type: 'enum', values: ['error', 'best'], label: '重试用尽时' },
+        hedging: { key: 'enableHedging', type: 'bool', label: '对冲请求' },
+        breaker: { key: 'enableCircuitBreaker', type: 'bool', label: '熔断器' },
+    };
+
+    // 解析 /retry-set 的参数值，非法时抛出说明
+    function parseSlashSetting(name, raw) {
+        const spec = SLASH_SETTINGS[name];
+        const text = String(raw).trim();
+        if (spec.type === 'bool') {
+            if (/^(true|on|1|yes)$/i.test(text)) return true;
+            if (/^(false|off|0|no)$/i.test(text)) return false;
+            throw new Error(`${name} 需要 on/off`);
+        }
+        if (spec.type === 'int') {
+            const value = parseInt(text);
+            if (!Number.isFinite(value)) throw new Error(`${name} 需要整数`);
+            return Math.min(spec.max ?? Infinity, Math.max(spec.min ?? 0, value));
+        }
+        if (!spec.values.includes(text)) {
+            throw new Error(`${name} 可选值：${spec.values.join(' / ')}`);
+        }
+        return text;
+    }
+
+    // 斜杠命令修改设置后保存并刷新面板
+    function commitSlashChange() {
+        saveSettings();
+        try { refreshSettingsUI?.(); } catch {}
+    }
+
+    // 注册 STscript 斜杠命令，返回值可在快速回复脚本中通过管道使用
+    function registerSlashCommands() {
+        if (!SlashCommandParser || !SlashCommand) return;
+        const named = (name, description, type = ARGUMENT_TYPE.STRING, enumList = []) => SlashCommandNamedArgument.fromProps({
+            name,
+            description,
+            typeList: [type],
+            enumList,
+        });
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'retry-toggle',
+            callback: (_args, value) => {
+                const text = String(value ?? '').trim();
+                settings.enabled = text ? parseSlashSetting('enabled', text) : !settings.enabled;
+                commitSlashChange();
+                showNotification(`空内容重试已${settings.enabled ? '启用' : '停用'}`, 'info');
+                return String(settings.enabled);
+            },
+            returns: '切换后的启用状态（true / false）',
+            unnamedArgumentList: [
+                SlashCommandArgument.fromProps({ description: 'on / off，省略时切换', typeList: [ARGUMENT_TYPE.STRING], isRequired: false, enumList: ['on', 'off'] }),
+            ],
+            helpString: '启用或停用空内容重试。例：<code>/retry-toggle off</code>',
+        }));
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'retry-set',
+            callback: (args) => {
+                const changed = {};
+                for (const name of Object.keys(SLASH_SETTINGS)) {
+                    if (args[name] === undefined || args[name] === '') continue;
+                    const value = parseSlashSetting(name, args[name]);
+                    settings[SLASH_SETTINGS[name].key] = value;
+                    changed[name] = value;
+                }
+                if (Object.keys(changed).length) {
+                    commitSlashChange();
+                }
+                return JSON.stringify(changed);
+            },
+            returns: '已修改的设置（JSON）',
+            namedArgumentList: Object.entries(SLASH_SETTINGS).map(([name, spec]) => named(
+                name,
+                spec.label,
+                spec.type === 'int' ? ARGUMENT_TYPE.NUMBER : spec.type === 'bool' ? ARGUMENT_TYPE.BOOLEAN : ARGUMENT_TYPE.STRING,
+                spec.values || (spec.type === 'bool' ? ['on', 'off'] : []),
+            )),
+            helpString: `修改重试设置。例：<code>/retry-set maxRetries=5 threshold=200</code>。可用参数：${Object.keys(SLASH_SETTINGS).join(', ')}`,
+        }));
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'retry-rule',
+            callback: (_args, value) => {
+                const text = String(value ?? '').trim();
+                const action = text.split(/\s+/, 1)[0] || 'list';
+                const pattern = text.slice(action.length).trim();
+                const rules = settings.interceptRules;
+                if (action === 'list') {
+                    return JSON.stringify(rules.map(r => ({ name: r.name, pattern: r.pattern, enabled: r.enabled !== false })));
+                }
+                if (!pattern) {
+                    throw new Error('缺少规则内容');
+                }
+                if (action === 'add') {
+                    if (!rules.some(r => r.pattern === pattern)) {
+                        rules.push(normalizeRule(pattern));
+                        commitSlashChange();
+                    }
+                    return pattern;
+                }
+                if (action === 'remove') {
+                    // 支持按匹配内容或从 1 开始的序号删除
+                    const index = /^\d+$/.test(pattern) && !rules.some(r => r.pattern === pattern)
+                        ? parseInt(pattern) - 1
+                        : rules.findIndex(r => r.pattern === pattern);
+                    if (index < 0 || index >= rules.length) return '';
+                    const [removed] = rules.splice(index, 1);
+                    commitSlashChange();
+                    return removed.pattern;
+                }
+                throw new Error(`未知操作：${action}，可用 add / remove / list`);
+            },
+            returns: 'list 返回规则列表（JSON），add / remove 返回对应的匹配内容',
+            unnamedArgumentList: [
+                SlashCommandArgument.fromProps({ description: 'add <匹配内容> / remove <匹配内容或序号> / list', typeList: [ARGUMENT_TYPE.STRING], isRequired: false }),
+            ],
+            helpString: '管理拦截规则。例：<code>/retry-rule add /api/backends/chat-completions/generate</code>',
+        }));
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'retry-stats',
+            callback: () => JSON.stringify(computeHistoryStats()),
+            returns: '按规则汇总的重试统计（JSON）',
+            helpString: '返回重试历史的按规则汇总：请求数、成功数、尝试次数及各类失败次数。',
+        }));
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'retry-last',
+            callback: () => lastFailureInfo ? lastFailureInfo.body : '',
+            returns: '最近一次失败的原始错误内容',
+            helpString: '返回最近一次失败尝试的原始响应/错误内容，没有失败记录时为空。',
+        }));
+    }
+
+    // 酒馆事件：停止生成或切换聊天时取消等待中的重试
+    const HOST_EVENT_HANDLERS = {
+        GENERATION_STOPPED: () => cancelPendingWaits('已停止生成'),
+        CHAT_CHANGED: () => {
+            cancelPendingWaits('已切换聊天');
+            renderScopeOverrides();
+        },
+    };
+
+    function bindHostEvents() {
+        if (!eventSource || !event_types) return;
+        for (const [type, handler] of Object.entries(HOST_EVENT_HANDLERS)) {
+            if (event_types[type]) {
+                eventSource.on(event_types[type], handler);
+            }
+        }
+    }
+
+    function unbindHostEvents() {
+        if (!eventSource || !event_types || typeof eventSource.removeListener !== 'function') return;
+        for (const [type, handler] of Object.entries(HOST_EVENT_HANDLERS)) {
+            if (event_types[type]) {
+                eventSource.removeListener(event_types[type], handler);
+            }
+        }
+    }
+
+    // 对外公开的接口：window.STApiRetry
+    function createPublicApi() {
+        const api = {
+            events: { ...RETRY_EVENTS },
+            // 当前设置的副本
+            getSettings() {
+                return JSON.parse(JSON.stringify(settings));
+            },
+            // 返回命中的规则（副本），未命中返回 null
+            findRule(url) {
+                const rule = isRetryEnabled() ? findMatchingRule(getRequestUrl(url)) : null;
+                return rule ? JSON.parse(JSON.stringify(rule)) : null;
+            },
+            // 注册校验器：{ id, label, validate(context, config), enabledByDefault }，同 id 覆盖
+            registerValidator(validator) {
+                if (!validator || !validator.id || typeof validator.validate !== 'function') {
+                    throw new TypeError('校验器需要 id 与 validate 函数');
+                }
+                const entry = { label: validator.id, enabledByDefault: true, ...validator };
+                const index = CONTENT_VALIDATORS.findIndex(v => v.id === entry.id);
+                if (index >= 0) {
+                    CONTENT_VALIDATORS[index] = entry;
+                } else {
+                    CONTENT_VALIDATORS.push(entry);
+                }
+                return () => api.unregisterValidator(entry.id);
+            },
+            unregisterValidator(id) {
+                const index = CONTENT_VALIDATORS.findIndex(v => v.id === id);
+                if (index >= 0) CONTENT_VALIDATORS.splice(index, 1);
+                return index >= 0;
+            },
+            // 注册提取器：{ id, label, urls, detect(obj), extract(obj) }，优先于内置的通用回退
+            registerExtractor(extractor) {
+                if (!extractor || !extractor.id || typeof extractor.extract !== 'function') {
+                    throw new TypeError('提取器需要 id 与 extract 函数');
+                }
+                const entry = { label: extractor.id, urls: [], detect: () => false, ...extractor };
+                const existing = RESPONSE_EXTRACTORS.findIndex(a => a.id === entry.id);
+                if (existing >= 0) RESPONSE_EXTRACTORS.splice(existing, 1);
+                const generic = RESPONSE_EXTRACTORS.findIndex(a => a.id === 'generic');
+                RESPONSE_EXTRACTORS.splice(generic >= 0 ? generic : RESPONSE_EXTRACTORS.length, 0, entry);
+                return () => api.unregisterExtractor(entry.id);
+            },
+            unregisterExtractor(id) {
+                const index = RESPONSE_EXTRACTORS.findIndex(a => a.id === id);
+                if (index >= 0) RESPONSE_EXTRACTORS.splice(index, 1);
+                return index >= 0;
+            },
+            // 订阅生命周期事件：attempt / retry / success / exhausted，返回取消订阅函数
+            on(name, handler) {
+                if (!retryEventHandlers.has(name)) {
+                    throw new Error(`未知事件：${name}`);
+                }
+                retryEventHandlers.get(name).add(handler);
+                return () => api.off(name, handler);
+            },
+            off(name, handler) {
+                retryEventHandlers.get(name)?.delete(handler);
+            },
+            cancelPendingWaits,
+        };
+        return api;
+    }
+
     // 卸载函数
     function cleanup() {
         if (originalFetch) {
             window.fetch = originalFetch;
             log('已恢复原始fetch函数');
         }
+        if (originalXHR) {
+            window.XMLHttpRequest = originalXHR;
+            log('已恢复原始XMLHttpRequest');
+        }
+        unbindHostEvents();
+        cancelPendingWaits();
+        // 移除公开接口与外部注册的扩展点，重新初始化时不会残留旧的订阅与注册
+        delete window.STApiRetry;
+        CONTENT_VALIDATORS.splice(0, CONTENT_VALIDATORS.length, ...BUILTIN_VALIDATORS);
+        RESPONSE_EXTRACTORS.splice(0, RESPONSE_EXTRACTORS.length, ...BUILTIN_EXTRACTORS);
+        for (const handlers of retryEventHandlers.values()) {
+            handlers.clear();
+        }
     }
 
     // 初始化插件
@@ -648,6 +5549,8 @@
 
         // 初始化插件
         init();
+        bindHostEvents();
+        window.STApiRetry = createPublicApi();
 
         // 标记已初始化
         window[`${EXTENSION_NAME}_initialized`] = true;
@@ -694,6 +5597,8 @@
 
             extension_settings = extensionsModule.extension_settings || window.extension_settings || {};
             saveSettingsDebounced = scriptModule.saveSettingsDebounced || window.saveSettingsDebounced || (() => {});
+            eventSource = scriptModule.eventSource;
+            event_types = scriptModule.event_types;
             toastr = window.toastr;
 
             // 弹窗和分词器
@@ -705,6 +5610,23 @@
                 log('无法导入内置弹窗模块，退回到toastr错误提示', true);
             }
 
+            try {
+                const [parserModule, commandModule, argumentModule] = await Promise.all([
+                    import('/scripts/slash-commands/SlashCommandParser.js'),
+                    import('/scripts/slash-commands/SlashCommand.js'),
+                    import('/scripts/slash-commands/SlashCommandArgument.js'),
+                ]);
+                SlashCommandParser = parserModule.SlashCommandParser;
+                SlashCommand = commandModule.SlashCommand;
+                SlashCommandArgument = argumentModule.SlashCommandArgument;
+                SlashCommandNamedArgument = argumentModule.SlashCommandNamedArgument;
+                ARGUMENT_TYPE = argumentModule.ARGUMENT_TYPE;
+            } catch (e) {
+                log('无法导入斜杠命令模块，斜杠命令不可用', true);
+            }
+
+            getContextFn = extensionsModule.getContext;
+
             try {
                 const tokenizersModule = await import('/scripts/tokenizers.js');
                 getTokenCountAsyncFn = tokenizersModule.getTokenCountAsync;
@@ -727,6 +5649,11 @@
 
         // 初始化插件与UI
         initializePlugin();
+        try {
+            registerSlashCommands();
+        } catch (e) {
+            log(`注册斜杠命令失败: ${e.message}`, true);
+        }
         setupUI();
     });
 